@@ -1,97 +1,72 @@
 #!/usr/bin/env node
 
 const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_TOLERANCE, buildAuditExpression, findPaletteLeaks, formatAuditReport } = require("./lib/audit");
+const { parseColor } = require("./lib/color");
+const { getRuntimeThemePaths } = require("./lib/config");
+const {
+  CONTRAST_LEVELS,
+  scorePalette,
+  buildContrastSampleExpression,
+  scoreSamples,
+  formatPaletteReport,
+  formatSampleReport,
+} = require("./lib/contrast");
+const { createEditorServer } = require("./lib/editor");
+const { findMissingVariantFonts, formatMissingFont } = require("./lib/fonts");
+const { decodePng, encodePng, diffImages } = require("./lib/png");
+const {
+  DEFAULT_THEME,
+  loadTheme,
+  resolveThemeVariants,
+  buildThemeCss,
+  buildThemeVariantsCss,
+} = require("./lib/theme");
 
 const STYLE_ID = "cdp-darcula-runtime-style";
 const DEFAULT_PORT = 9222;
 const DEFAULT_APP_PATH = "/Applications/Codex.app";
-const POLL_INTERVAL_MS = 1200;
-
-const DARCULA_CSS = `
-:root,
-html,
-body,
-#root {
-  color-scheme: dark !important;
-  background: #2b2b2b !important;
-  color: #a9b7c6 !important;
-}
-
-* {
-  border-color: #4e5254 !important;
-}
-
-main,
-section,
-article,
-aside,
-header,
-footer,
-nav,
-div[data-panel],
-[data-theme="dark"] {
-  background-color: #2b2b2b !important;
-  color: #a9b7c6 !important;
-}
-
-aside,
-nav,
-[data-sidebar],
-[role="complementary"] {
-  background-color: #3c3f41 !important;
-}
-
-button,
-input,
-textarea,
-select,
-[role="button"] {
-  background-color: #3c3f41 !important;
-  color: #a9b7c6 !important;
-  border-color: #5c6164 !important;
-}
-
-button:hover,
-[role="button"]:hover {
-  background-color: #4b5052 !important;
-}
-
-a {
-  color: #589df6 !important;
-}
-
-a:hover {
-  color: #73b1ff !important;
-}
-
-pre,
-code {
-  background-color: #313335 !important;
-  color: #a9b7c6 !important;
-}
-
-::selection {
-  background: #214283 !important;
-  color: #dfe6ee !important;
-}
-
-::-webkit-scrollbar-thumb {
-  background: #5c6164 !important;
-  border-radius: 8px !important;
-}
-
-::-webkit-scrollbar-track {
-  background: #2b2b2b !important;
-}
-`;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const TOP_LEVEL_TARGET_TYPES = new Set(["page", "webview"]);
+const THEMED_TARGET_TYPES = new Set(["page", "webview", "iframe"]);
+const CSS_WATCH_INTERVAL_MS = 300;
+const CSS_RELOAD_DEBOUNCE_MS = 150;
+const DEFAULT_EDITOR_PORT = 9230;
+const DEFAULT_REPORT_LIMIT = 50;
+const COMMANDS = ["inject", "audit", "contrast", "snapshot"];
+const DEFAULT_SNAPSHOT_DIR = "snapshots";
+const DEFAULT_MAX_MISMATCH_PERCENT = 0.1;
+const SNAPSHOT_PIXEL_THRESHOLD = 16;
+const COLOR_SCHEME_BINDING = "cdpDarculaColorScheme";
+const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+const WAIT_FOR_PAINT_EXPRESSION = "new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)))";
 
 function parseArgs(argv) {
   const out = {
+    command: null,
     port: DEFAULT_PORT,
     appPath: DEFAULT_APP_PATH,
     startApp: false,
     once: false,
     remove: false,
+    theme: DEFAULT_THEME,
+    cssPath: null,
+    watchCss: false,
+    editor: false,
+    editorPort: DEFAULT_EDITOR_PORT,
+    json: false,
+    limit: DEFAULT_REPORT_LIMIT,
+    tolerance: DEFAULT_TOLERANCE,
+    screenshotsDir: null,
+    level: "AA",
+    fix: false,
+    outDir: path.resolve(DEFAULT_SNAPSHOT_DIR),
+    baselineDir: null,
+    updateBaseline: false,
+    maxMismatch: DEFAULT_MAX_MISMATCH_PERCENT,
   };
 
   for (let i = 2; i < argv.length; i += 1) {
@@ -106,6 +81,29 @@ function parseArgs(argv) {
       i += 1;
       continue;
     }
+    if (arg === "--theme" && argv[i + 1]) {
+      out.theme = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--css" && argv[i + 1]) {
+      out.cssPath = path.resolve(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--watch-css") {
+      out.watchCss = true;
+      continue;
+    }
+    if (arg === "--editor") {
+      out.editor = true;
+      continue;
+    }
+    if (arg === "--editor-port" && argv[i + 1]) {
+      out.editorPort = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
     if (arg === "--start-app") {
       out.startApp = true;
       continue;
@@ -118,31 +116,138 @@ function parseArgs(argv) {
       out.remove = true;
       continue;
     }
+    if (arg === "--json") {
+      out.json = true;
+      continue;
+    }
+    if (arg === "--limit" && argv[i + 1]) {
+      out.limit = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--tolerance" && argv[i + 1]) {
+      out.tolerance = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--screenshots" && argv[i + 1]) {
+      out.screenshotsDir = path.resolve(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--out" && argv[i + 1]) {
+      out.outDir = path.resolve(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--baseline" && argv[i + 1]) {
+      out.baselineDir = path.resolve(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--update-baseline") {
+      out.updateBaseline = true;
+      continue;
+    }
+    if (arg === "--max-mismatch" && argv[i + 1]) {
+      out.maxMismatch = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--level" && argv[i + 1]) {
+      out.level = argv[i + 1].toUpperCase();
+      i += 1;
+      continue;
+    }
+    if (arg === "--fix") {
+      out.fix = true;
+      continue;
+    }
     if (arg === "--help" || arg === "-h") {
       printUsage();
       process.exit(0);
     }
+    if (!arg.startsWith("-") && !out.command) {
+      out.command = arg;
+      continue;
+    }
     throw new Error(`Unknown argument: ${arg}`);
   }
 
+  out.command = out.command || "inject";
+  if (!COMMANDS.includes(out.command)) {
+    throw new Error(`Unknown command: ${out.command} (expected ${COMMANDS.join(", ")})`);
+  }
+  if (!Number.isFinite(out.maxMismatch) || out.maxMismatch < 0) {
+    throw new Error("Invalid --max-mismatch value");
+  }
+  if (!CONTRAST_LEVELS.includes(out.level)) {
+    throw new Error(`Invalid --level value (expected ${CONTRAST_LEVELS.join(" or ")})`);
+  }
+
   if (!Number.isFinite(out.port) || out.port <= 0) {
     throw new Error("Invalid --port value");
   }
+  if (out.watchCss && !out.cssPath) {
+    throw new Error("--watch-css requires --css <file>");
+  }
+  if (out.watchCss && (out.once || out.remove)) {
+    throw new Error("--watch-css cannot be combined with --once or --remove");
+  }
+  if (out.remove && out.command !== "inject") {
+    throw new Error(`--remove cannot be combined with ${out.command}`);
+  }
+  if (out.editor && (out.cssPath || out.once || out.remove)) {
+    throw new Error("--editor cannot be combined with --css, --once or --remove");
+  }
+  if (!Number.isFinite(out.editorPort) || out.editorPort <= 0) {
+    throw new Error("Invalid --editor-port value");
+  }
+  if (!Number.isInteger(out.limit) || out.limit <= 0) {
+    throw new Error("Invalid --limit value");
+  }
+  if (!Number.isFinite(out.tolerance) || out.tolerance < 0) {
+    throw new Error("Invalid --tolerance value");
+  }
 
   return out;
 }
 
 function printUsage() {
   console.log("Usage:");
-  console.log("  node codex-darcula-runtime-inject.js [--port 9222] [--start-app] [--once]");
+  console.log("  node codex-darcula-runtime-inject.js [--port 9222] [--theme <name|path>] [--start-app] [--once]");
+  console.log("  node codex-darcula-runtime-inject.js --css ./theme.css --watch-css [--port 9222]");
+  console.log("  node codex-darcula-runtime-inject.js --editor [--editor-port 9230] [--theme <name|path>]");
   console.log("  node codex-darcula-runtime-inject.js --remove [--port 9222]");
+  console.log("  node codex-darcula-runtime-inject.js audit [--theme <name|path>] [--json] [--screenshots <dir>]");
+  console.log("  node codex-darcula-runtime-inject.js contrast [--theme <name|path>] [--level AA|AAA] [--fix] [--json]");
+  console.log("  node codex-darcula-runtime-inject.js snapshot [--out <dir>] [--baseline <dir>] [--update-baseline]");
   console.log("");
   console.log("Options:");
   console.log("  --start-app          Launch Codex.app with --remote-debugging-port");
   console.log("  --app <path>         Path to Codex.app (default: /Applications/Codex.app)");
   console.log("  --port <number>      CDP port (default: 9222)");
+  console.log(`  --theme <name|path>  Built-in theme name or theme JSON file (default: ${DEFAULT_THEME})`);
+  console.log("  --css <file>         Inject this stylesheet instead of the theme CSS");
+  console.log("  --watch-css          Re-inject --css into connected windows on every save");
+  console.log("  --editor             Serve a local theme editor with live preview in Codex");
+  console.log(`  --editor-port <n>    Theme editor HTTP port (default: ${DEFAULT_EDITOR_PORT})`);
   console.log("  --once               Inject once and exit");
   console.log("  --remove             Remove runtime style instead of injecting");
+  console.log("");
+  console.log("Audit and contrast options:");
+  console.log("  --json               Print the report as JSON");
+  console.log(`  --limit <n>          Findings per window in the text report (default: ${DEFAULT_REPORT_LIMIT})`);
+  console.log("  --level AA|AAA       WCAG level for contrast (default: AA)");
+  console.log("  --fix                Suggest the nearest passing color for failing contrast pairs");
+  console.log(`  --tolerance <n>      RGB distance still treated as a palette color (default: ${DEFAULT_TOLERANCE})`);
+  console.log("  --screenshots <dir>  Save a PNG clip of the first element of each reported finding");
+  console.log("");
+  console.log("Snapshot options:");
+  console.log(`  --out <dir>          Where to write screenshots and diffs (default: ./${DEFAULT_SNAPSHOT_DIR})`);
+  console.log("  --baseline <dir>     Baseline screenshots to compare with (default: <out>/baseline)");
+  console.log("  --update-baseline    Store the themed screenshots as the new baseline");
+  console.log(`  --max-mismatch <%>   Allowed share of differing pixels (default: ${DEFAULT_MAX_MISMATCH_PERCENT})`);
 }
 
 function startApp(appPath, port) {
@@ -158,8 +263,8 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function fetchTargets(port) {
-  const url = `http://127.0.0.1:${port}/json/list`;
+async function fetchBrowserEndpoint(port) {
+  const url = `http://127.0.0.1:${port}/json/version`;
   let response;
   try {
     response = await fetch(url);
@@ -171,67 +276,116 @@ async function fetchTargets(port) {
   if (!response.ok) {
     throw new Error(`CDP endpoint ${url} returned ${response.status}`);
   }
-  return response.json();
+  const info = await response.json();
+  if (!info.webSocketDebuggerUrl) {
+    throw new Error(`CDP endpoint ${url} did not report a browser WebSocket URL`);
+  }
+  return info.webSocketDebuggerUrl;
 }
 
-async function cdpEval(wsUrl, expression) {
+async function openCdpConnection(wsUrl) {
   const ws = new WebSocket(wsUrl);
+  const pending = new Map();
+  const eventHandlers = new Map();
+  const closeHandlers = [];
   let seq = 0;
 
   await new Promise((resolve, reject) => {
     ws.onopen = resolve;
-    ws.onerror = reject;
+    ws.onerror = () => reject(new Error(`Could not connect to ${wsUrl}`));
   });
 
-  const send = (method, params) => {
-    const id = ++seq;
-    const payload = JSON.stringify({ id, method, params });
+  ws.addEventListener("message", (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    if (message.method && message.id === undefined) {
+      const handlers = eventHandlers.get(message.sessionId || "");
+      for (const handler of (handlers && handlers.get(message.method)) || []) {
+        handler(message.params || {});
+      }
+      return;
+    }
+    const request = pending.get(message.id);
+    if (!request) {
+      return;
+    }
+    pending.delete(message.id);
+    if (message.error) {
+      request.reject(new Error(JSON.stringify(message.error)));
+      return;
+    }
+    request.resolve(message.result);
+  });
+  ws.addEventListener("close", () => {
+    for (const request of pending.values()) {
+      request.reject(new Error("CDP connection closed"));
+    }
+    pending.clear();
+    for (const handler of closeHandlers) {
+      handler();
+    }
+  });
 
-    return new Promise((resolve, reject) => {
-      const onMessage = (event) => {
-        let message;
-        try {
-          message = JSON.parse(event.data);
-        } catch {
-          return;
-        }
-        if (message.id !== id) {
-          return;
-        }
-        ws.removeEventListener("message", onMessage);
-        if (message.error) {
-          reject(new Error(JSON.stringify(message.error)));
-          return;
-        }
-        resolve(message.result);
-      };
-      ws.addEventListener("message", onMessage);
-      ws.send(payload);
-    });
+  const session = (sessionId) => ({
+    send(method, params = {}) {
+      const id = ++seq;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        ws.send(JSON.stringify(sessionId ? { id, sessionId, method, params } : { id, method, params }));
+      });
+    },
+    on(method, handler) {
+      const key = sessionId || "";
+      const handlers = eventHandlers.get(key) || new Map();
+      handlers.set(method, [...(handlers.get(method) || []), handler]);
+      eventHandlers.set(key, handlers);
+    },
+  });
+
+  return {
+    ...session(null),
+    session,
+    forget(sessionId) {
+      eventHandlers.delete(sessionId);
+    },
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+    close() {
+      ws.close();
+    },
   };
+}
 
-  try {
-    await send("Runtime.enable", {});
-    await send("Runtime.evaluate", {
-      expression,
-      returnByValue: true,
-    });
-  } finally {
-    ws.close();
-  }
+async function connectBrowser(port) {
+  return openCdpConnection(await fetchBrowserEndpoint(port));
 }
 
-function buildInjectExpression() {
-  const cssLiteral = JSON.stringify(DARCULA_CSS);
+function buildInjectExpression(css) {
+  const cssLiteral = JSON.stringify(css);
   return `(() => {
     const id = ${JSON.stringify(STYLE_ID)};
-    let style = document.getElementById(id);
-    if (!style) {
-      style = document.createElement('style');
-      style.id = id;
-      document.documentElement.appendChild(style);
+    const apply = () => {
+      const root = document.documentElement;
+      if (!root) return false;
+      let style = document.getElementById(id);
+      if (!style) {
+        style = document.createElement('style');
+        style.id = id;
+        root.appendChild(style);
+      }
+      style.textContent = ${cssLiteral};
+      return true;
+    };
+    if (!apply()) {
+      new MutationObserver((_, observer) => {
+        if (apply()) observer.disconnect();
+      }).observe(document, { childList: true });
     }
-    style.textContent = ${cssLiteral};
     return 'injected';
   })()`;
 }
@@ -245,54 +399,711 @@ function buildRemoveExpression() {
   })()`;
 }
 
-async function injectToTargets(port, remove, processedTargets) {
-  const targets = await fetchTargets(port);
-  const pages = targets.filter((target) => target.type === "page" && target.webSocketDebuggerUrl);
+function buildReadStyleExpression() {
+  return `(() => {
+    const style = document.getElementById(${JSON.stringify(STYLE_ID)});
+    return style ? style.textContent : null;
+  })()`;
+}
+
+function buildCssCheckExpression(css) {
+  return `(async () => {
+    const css = ${JSON.stringify(css)};
+    const errors = [];
+    const lineAt = (index) => css.slice(0, index).split('\\n').length;
+    const parses = (text) => {
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(text);
+        return sheet.cssRules.length > 0;
+      } catch {
+        return false;
+      }
+    };
+    try {
+      await new CSSStyleSheet().replace(css);
+    } catch (error) {
+      return [{ line: 1, message: String(error && error.message ? error.message : error) }];
+    }
+    const splitDeclarations = (body) => {
+      const parts = [];
+      let quote = null;
+      let parens = 0;
+      let from = 0;
+      for (let i = 0; i < body.length; i += 1) {
+        const ch = body[i];
+        if (quote) {
+          if (ch === '\\\\') i += 1;
+          else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '(') parens += 1;
+        else if (ch === ')') parens = Math.max(0, parens - 1);
+        else if (ch === ';' && parens === 0) {
+          parts.push(body.slice(from, i));
+          from = i + 1;
+        }
+      }
+      return [...parts, body.slice(from)];
+    };
+    const checkDeclarations = (body, offset) => {
+      let position = 0;
+      for (const part of splitDeclarations(body)) {
+        const colon = part.indexOf(':');
+        const property = colon === -1 ? part.trim() : part.slice(0, colon).trim();
+        const value = colon === -1 ? '' : part.slice(colon + 1).replace(/!\\s*important\\s*$/i, '').trim();
+        const line = lineAt(offset + position + part.length - part.trimStart().length);
+        position += part.length + 1;
+        if (!property || property.startsWith('--')) continue;
+        if (colon === -1 || !CSS.supports(property, value)) {
+          errors.push({ line, message: \`invalid declaration "\${part.trim()}"\` });
+        }
+      }
+    };
+    let depth = 0;
+    let start = 0;
+    let open = -1;
+    for (let i = 0; i < css.length; i += 1) {
+      const ch = css[i];
+      if (ch === '/' && css[i + 1] === '*') {
+        const end = css.indexOf('*/', i + 2);
+        i = end === -1 ? css.length : end + 1;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        for (i += 1; i < css.length && css[i] !== ch; i += css[i] === '\\\\' ? 2 : 1);
+        continue;
+      }
+      if (ch === '{') {
+        if (depth === 0) open = i;
+        depth += 1;
+      } else if (ch === '}' && depth > 0) {
+        depth -= 1;
+        if (depth > 0) continue;
+        const prelude = css.slice(start, open).replace(/\\/\\*[\\s\\S]*?\\*\\//g, '').trim();
+        const body = css.slice(open + 1, i);
+        const line = lineAt(start + css.slice(start, open).search(/\\S|$/));
+        if (prelude.startsWith('@')) {
+          if (!parses(css.slice(start, i + 1))) errors.push({ line, message: \`unsupported rule "\${prelude}"\` });
+        } else if (!parses(\`\${prelude}{}\`)) {
+          errors.push({ line, message: \`invalid selector "\${prelude}"\` });
+        } else if (!body.includes('{')) {
+          checkDeclarations(body, open + 1);
+        }
+        start = i + 1;
+      } else if (ch === ';' && depth === 0) {
+        start = i + 1;
+      }
+    }
+    if (depth > 0) errors.push({ line: lineAt(open), message: 'unclosed block' });
+    return errors;
+  })()`;
+}
+
+function buildColorSchemeWatchExpression() {
+  return `(() => {
+    if (window.__cdpDarculaSchemeWatch) return;
+    window.__cdpDarculaSchemeWatch = true;
+    matchMedia(${JSON.stringify(DARK_SCHEME_QUERY)}).addEventListener('change', (event) => {
+      const report = window[${JSON.stringify(COLOR_SCHEME_BINDING)}];
+      if (report) report(event.matches ? 'dark' : 'light');
+    });
+  })()`;
+}
+
+async function readColorScheme(session) {
+  const { result } = await session.send("Runtime.evaluate", {
+    expression: `matchMedia(${JSON.stringify(DARK_SCHEME_QUERY)}).matches`,
+    returnByValue: true,
+  });
+  return result && result.value ? "dark" : "light";
+}
+
+async function preferredBackground(session, theme) {
+  return theme.backgrounds ? theme.backgrounds[await readColorScheme(session)] : theme.background;
+}
+
+// A theme without a variant for the window's scheme is shown as is, so its own palette is the one to check against.
+async function shownVariant(session, variants) {
+  const types = Object.keys(variants);
+  return types.length > 1 ? variants[await readColorScheme(session)] : variants[types[0]];
+}
+
+// The stylesheet switches variants by itself through @media; only the default background override needs the injector.
+async function followColorScheme(session, label, theme) {
+  session.on("Runtime.bindingCalled", ({ name, payload }) => {
+    const color = name === COLOR_SCHEME_BINDING && theme.backgrounds && theme.backgrounds[payload];
+    if (color) {
+      console.log(`color scheme: ${label} -> ${payload}`);
+      session.send("Emulation.setDefaultBackgroundColorOverride", { color }).catch(() => {});
+    }
+  });
+  await session.send("Runtime.addBinding", { name: COLOR_SCHEME_BINDING });
+  const source = buildColorSchemeWatchExpression();
+  await session.send("Page.addScriptToEvaluateOnNewDocument", { source });
+  await session.send("Runtime.evaluate", { expression: source });
+}
+
+// Registration only: a target paused by waitForDebuggerOnStart does not evaluate anything until it is resumed.
+async function registerStyle(session, css, background) {
+  const source = buildInjectExpression(css);
+  await session.send("Page.enable");
+  const { identifier } = await session.send("Page.addScriptToEvaluateOnNewDocument", { source });
+  if (background) {
+    await session.send("Emulation.setDefaultBackgroundColorOverride", { color: background });
+  }
+  return identifier;
+}
+
+async function injectTarget(session, css, background) {
+  const identifier = await registerStyle(session, css, background);
+  await session.send("Runtime.evaluate", { expression: buildInjectExpression(css), returnByValue: true });
+  return identifier;
+}
+
+async function restyleTarget(target, theme) {
+  const source = buildInjectExpression(theme.css);
+  if (target.scriptId) {
+    await target.session.send("Page.removeScriptToEvaluateOnNewDocument", { identifier: target.scriptId });
+  }
+  ({ identifier: target.scriptId } = await target.session.send("Page.addScriptToEvaluateOnNewDocument", { source }));
+  const background = target.topLevel ? await preferredBackground(target.session, theme) : null;
+  if (background) {
+    await target.session.send("Emulation.setDefaultBackgroundColorOverride", { color: background });
+  }
+  await target.session.send("Runtime.evaluate", { expression: source, returnByValue: true });
+}
+
+let restyleQueue = Promise.resolve();
+
+function restyleAll(theme, styled) {
+  const run = async () => {
+    const targets = Array.from(styled.values());
+    for (const target of targets) {
+      try {
+        await restyleTarget(target, theme);
+      } catch (error) {
+        console.warn(`failed to update style in ${target.label}: ${error.message}`);
+      }
+    }
+    return targets;
+  };
+  restyleQueue = restyleQueue.then(run, run);
+  return restyleQueue;
+}
+
+async function reportCssErrors(session, cssPath, css) {
+  const { result, exceptionDetails } = await session.send("Runtime.evaluate", {
+    expression: buildCssCheckExpression(css),
+    awaitPromise: true,
+    returnByValue: true,
+  });
+  if (exceptionDetails) {
+    console.warn(`css check failed: ${exceptionDetails.text}`);
+    return;
+  }
+  const errors = result && Array.isArray(result.value) ? result.value : [];
+  for (const error of errors) {
+    console.warn(`${cssPath}:${error.line}: ${error.message}`);
+  }
+  console.log(errors.length > 0 ? `css: ${errors.length} problem(s)` : "css: no parse errors");
+}
+
+async function keepTargetThemed(session, label, theme) {
+  const ensureStyle = (params) =>
+    session
+      .send("Runtime.evaluate", { expression: buildInjectExpression(theme.css), returnByValue: true, ...params })
+      .catch(() => {});
+
+  session.on("Runtime.executionContextCreated", ({ context }) => {
+    if (context && context.auxData && context.auxData.isDefault) {
+      ensureStyle({ contextId: context.id });
+    }
+  });
+  session.on("Page.frameNavigated", ({ frame }) => {
+    if (frame && !frame.parentId) {
+      console.log(`navigated: ${label} -> ${frame.url}`);
+      ensureStyle({});
+    }
+  });
+  await session.send("Runtime.enable");
+}
+
+async function removeFromTarget(session) {
+  await session.send("Emulation.setDefaultBackgroundColorOverride", {});
+  await session.send("Runtime.evaluate", { expression: buildRemoveExpression(), returnByValue: true });
+}
+
+function targetLabel(targetInfo) {
+  return targetInfo.title || targetInfo.url || targetInfo.targetId;
+}
+
+async function forEachWindow(port, handler) {
+  const connection = await connectBrowser(port);
+  try {
+    const { targetInfos } = await connection.send("Target.getTargets");
+    const windows = targetInfos.filter((info) => TOP_LEVEL_TARGET_TYPES.has(info.type));
+    for (const [index, targetInfo] of windows.entries()) {
+      let sessionId;
+      try {
+        const { targetId } = targetInfo;
+        ({ sessionId } = await connection.send("Target.attachToTarget", { targetId, flatten: true }));
+        await handler(connection.session(sessionId), targetInfo, index);
+      } catch (error) {
+        console.warn(`failed on ${targetLabel(targetInfo)}: ${error.message}`);
+      }
+      if (sessionId) {
+        await connection.send("Target.detachFromTarget", { sessionId }).catch(() => {});
+      }
+    }
+    return windows.length;
+  } finally {
+    connection.close();
+  }
+}
+
+async function applyOnce(port, theme, remove) {
+  await forEachWindow(port, async (session, targetInfo) => {
+    if (remove) {
+      await removeFromTarget(session);
+    } else {
+      await injectTarget(session, theme.css, await preferredBackground(session, theme));
+      if (theme.cssPath && !theme.checked) {
+        theme.checked = true;
+        await reportCssErrors(session, theme.cssPath, theme.css);
+      }
+    }
+    console.log(`${remove ? "removed" : "injected"}: ${targetLabel(targetInfo)}`);
+  });
+}
+
+async function saveClip(session, clip, filePath) {
+  const { data } = await session.send("Page.captureScreenshot", {
+    format: "png",
+    clip: { ...clip, width: Math.max(1, clip.width), height: Math.max(1, clip.height), scale: 1 },
+    captureBeyondViewport: true,
+  });
+  fs.writeFileSync(filePath, Buffer.from(data, "base64"));
+}
+
+async function commandAudit(options, loaded, variants) {
+  const reports = [];
+  if (options.screenshotsDir) {
+    fs.mkdirSync(options.screenshotsDir, { recursive: true });
+  }
+
+  const windows = await forEachWindow(options.port, async (session, targetInfo, index) => {
+    const { result, exceptionDetails } = await session.send("Runtime.evaluate", {
+      expression: buildAuditExpression(STYLE_ID),
+      returnByValue: true,
+    });
+    if (exceptionDetails) {
+      throw new Error(`audit script failed: ${exceptionDetails.text}`);
+    }
+    const variant = await shownVariant(session, variants);
+    const findings = findPaletteLeaks((result && result.value) || [], variant, options.tolerance);
+    const shown = options.json ? findings : findings.slice(0, options.limit);
+    if (options.screenshotsDir) {
+      for (const [number, finding] of shown.entries()) {
+        const filePath = path.join(options.screenshotsDir, `window${index + 1}-${number + 1}.png`);
+        try {
+          await saveClip(session, finding.clip, filePath);
+          finding.screenshot = filePath;
+        } catch (error) {
+          console.warn(`could not capture ${finding.selector}: ${error.message}`);
+        }
+      }
+    }
+    reports.push({
+      title: variant === loaded ? targetLabel(targetInfo) : `${targetLabel(targetInfo)} (${variant.name})`,
+      url: targetInfo.url,
+      theme: variant.name,
+      findings: shown,
+      omitted: findings.length - shown.length,
+    });
+  });
+
+  if (windows === 0) {
+    throw new Error("No Codex windows found over CDP");
+  }
+  if (options.json) {
+    console.log(JSON.stringify({ theme: loaded.name, tolerance: options.tolerance, windows: reports }, null, 2));
+    return;
+  }
+  console.log(formatAuditReport(reports));
+}
+
+async function followTargets(connection, theme, styled) {
+  const attached = new Map();
+
+  const onDetached = ({ sessionId, targetId }) => {
+    connection.forget(sessionId);
+    attached.delete(targetId);
+    styled.delete(sessionId);
+  };
 
-  for (const target of pages) {
-    if (processedTargets.has(target.id) && !remove) {
+  const onAttached = async ({ sessionId, targetInfo, waitingForDebugger }) => {
+    const session = connection.session(sessionId);
+    const label = targetLabel(targetInfo);
+    attached.set(targetInfo.targetId, targetInfo);
+    session.on("Target.attachedToTarget", onAttached);
+    session.on("Target.detachedFromTarget", onDetached);
+    const topLevel = TOP_LEVEL_TARGET_TYPES.has(targetInfo.type);
+    let scriptId = null;
+    try {
+      if (THEMED_TARGET_TYPES.has(targetInfo.type)) {
+        scriptId = await registerStyle(session, theme.css, topLevel ? theme.background : null);
+        await session.send("Target.setAutoAttach", { autoAttach: true, waitForDebuggerOnStart: true, flatten: true });
+      }
+    } catch (error) {
+      console.warn(`failed on ${label}: ${error.message}`);
+    } finally {
+      if (waitingForDebugger) {
+        session.send("Runtime.runIfWaitingForDebugger").catch(() => {});
+      }
+    }
+    if (!scriptId) {
+      return;
+    }
+
+    try {
+      styled.set(sessionId, { session, label, scriptId, topLevel });
+      if (topLevel && theme.backgrounds) {
+        const color = await preferredBackground(session, theme);
+        await session.send("Emulation.setDefaultBackgroundColorOverride", { color });
+        await followColorScheme(session, label, theme);
+      }
+      await session.send("Runtime.evaluate", { expression: buildInjectExpression(theme.css), returnByValue: true });
+      await keepTargetThemed(session, label, theme);
+      console.log(`injected: ${label}${targetInfo.type === "page" ? "" : ` (${targetInfo.type})`}`);
+      if (topLevel && theme.cssPath && !theme.checked) {
+        theme.checked = true;
+        await reportCssErrors(session, theme.cssPath, theme.css);
+      }
+    } catch (error) {
+      console.warn(`failed on ${label}: ${error.message}`);
+    }
+  };
+
+  connection.on("Target.attachedToTarget", onAttached);
+  connection.on("Target.detachedFromTarget", onDetached);
+  connection.on("Target.targetDestroyed", ({ targetId }) => {
+    const targetInfo = attached.get(targetId);
+    if (targetInfo && TOP_LEVEL_TARGET_TYPES.has(targetInfo.type)) {
+      console.log(`closed: ${targetLabel(targetInfo)}`);
+    }
+    attached.delete(targetId);
+  });
+
+  await connection.send("Target.setDiscoverTargets", { discover: true });
+  await connection.send("Target.setAutoAttach", { autoAttach: true, waitForDebuggerOnStart: true, flatten: true });
+}
+
+async function watchTargets(port, theme, styled) {
+  let delay = RECONNECT_BASE_MS;
+  while (true) {
+    let connection;
+    try {
+      connection = await connectBrowser(port);
+    } catch (error) {
+      console.warn(`waiting for Codex CDP endpoint (retry in ${Math.round(delay / 1000)}s): ${error.message}`);
+      await sleep(delay);
+      delay = Math.min(delay * 2, RECONNECT_MAX_MS);
       continue;
     }
 
+    delay = RECONNECT_BASE_MS;
+    const closed = new Promise((resolve) => connection.onClose(resolve));
     try {
-      await cdpEval(
-        target.webSocketDebuggerUrl,
-        remove ? buildRemoveExpression() : buildInjectExpression(),
-      );
-      processedTargets.add(target.id);
-      console.log(`${remove ? "removed" : "injected"}: ${target.title || target.id}`);
+      await followTargets(connection, theme, styled);
     } catch (error) {
-      console.warn(`failed on ${target.title || target.id}: ${error.message}`);
+      console.warn(`target discovery failed: ${error.message}`);
+      connection.close();
     }
+    await closed;
+    styled.clear();
+    console.log("CDP connection closed, reconnecting");
+    await sleep(delay);
   }
+}
 
-  return pages.length;
+function readCssFile(cssPath) {
+  try {
+    return fs.readFileSync(cssPath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read CSS file ${cssPath}: ${error.message}`);
+  }
+}
+
+function watchCssFile(theme, styled) {
+  let timer = null;
+
+  const reload = async () => {
+    let css;
+    try {
+      css = readCssFile(theme.cssPath);
+    } catch (error) {
+      console.warn(error.message);
+      return;
+    }
+    if (css === theme.css) {
+      return;
+    }
+    theme.css = css;
+    const targets = await restyleAll(theme, styled);
+    console.log(`reloaded ${path.basename(theme.cssPath)} in ${targets.length} target(s)`);
+    const checker = targets.find((target) => target.topLevel);
+    if (checker) {
+      await reportCssErrors(checker.session, theme.cssPath, css).catch((error) => {
+        console.warn(`css check failed: ${error.message}`);
+      });
+    }
+  };
+
+  fs.watchFile(theme.cssPath, { interval: CSS_WATCH_INTERVAL_MS }, () => {
+    clearTimeout(timer);
+    timer = setTimeout(reload, CSS_RELOAD_DEBOUNCE_MS);
+  });
+}
+
+function startEditor(port, loaded, variants, theme, styled) {
+  const savePath = getRuntimeThemePaths().palette;
+  const server = createEditorServer({
+    theme: loaded,
+    savePath,
+    port,
+    onPreview: async (edited) => {
+      theme.background = parseColor(edited.colors.background);
+      if (theme.backgrounds) {
+        theme.css = buildThemeVariantsCss({ ...variants, [edited.type]: edited });
+        theme.backgrounds[edited.type] = theme.background;
+      } else {
+        theme.css = buildThemeCss(edited);
+      }
+      return (await restyleAll(theme, styled)).length;
+    },
+  });
+  server.on("error", (error) => {
+    console.error(`ERROR: theme editor could not listen on port ${port}: ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(port, "127.0.0.1", () => {
+    console.log(`theme editor: http://127.0.0.1:${port}/ (saves to ${savePath} by default)`);
+  });
+}
+
+async function commandContrast(options, loaded, variants) {
+  const palettes = Object.values(variants).map((variant) => ({
+    variant,
+    scores: scorePalette(variant, options.level),
+  }));
+  const windows = [];
+  let liveError = null;
+  try {
+    await forEachWindow(options.port, async (session, targetInfo) => {
+      const variant = await shownVariant(session, variants);
+      const { result, exceptionDetails } = await session.send("Runtime.evaluate", {
+        expression: buildContrastSampleExpression(STYLE_ID, variant.colors.background),
+        returnByValue: true,
+      });
+      if (exceptionDetails) {
+        throw new Error(`contrast script failed: ${exceptionDetails.text}`);
+      }
+      windows.push({
+        title: variant === loaded ? targetLabel(targetInfo) : `${targetLabel(targetInfo)} (${variant.name})`,
+        url: targetInfo.url,
+        theme: variant.name,
+        samples: scoreSamples((result && result.value) || [], options.level),
+      });
+    });
+  } catch (error) {
+    liveError = error.message;
+  }
+
+  const failures =
+    palettes.reduce((sum, palette) => sum + palette.scores.filter((score) => !score.passes).length, 0) +
+    windows.reduce((sum, window) => sum + window.samples.filter((sample) => !sample.passes).length, 0);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+
+  if (options.json) {
+    const live = liveError ? { error: liveError } : { windows };
+    const palette = palettes.map(({ variant, scores }) => ({ theme: variant.name, type: variant.type, scores }));
+    console.log(JSON.stringify({ theme: loaded.name, level: options.level, palette, live }, null, 2));
+    return;
+  }
+  for (const { variant, scores } of palettes) {
+    console.log(formatPaletteReport(variant, options.level, scores, options.fix));
+    console.log("");
+  }
+  if (liveError) {
+    console.log(`Live sampling skipped: ${liveError}`);
+    return;
+  }
+  for (const window of windows) {
+    console.log(formatSampleReport(window.title, window.samples, options.fix, options.limit));
+  }
+}
+
+async function captureWindow(session) {
+  await session.send("Runtime.evaluate", { expression: WAIT_FOR_PAINT_EXPRESSION, awaitPromise: true });
+  const { data } = await session.send("Page.captureScreenshot", { format: "png" });
+  return Buffer.from(data, "base64");
+}
+
+function snapshotName(targetInfo, index) {
+  const slug = (targetInfo.title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `window${index + 1}${slug ? `-${slug}` : ""}`;
+}
+
+function compareWithBaseline(name, themed, options) {
+  const baselineDir = options.baselineDir || path.join(options.outDir, "baseline");
+  const baselinePath = path.join(baselineDir, `${name}-themed.png`);
+  if (options.updateBaseline) {
+    fs.mkdirSync(baselineDir, { recursive: true });
+    fs.writeFileSync(baselinePath, themed);
+    return { baseline: baselinePath, updated: true };
+  }
+  if (!fs.existsSync(baselinePath)) {
+    return { baseline: null };
+  }
+
+  const diff = diffImages(decodePng(fs.readFileSync(baselinePath)), decodePng(themed), SNAPSHOT_PIXEL_THRESHOLD);
+  const diffPath = path.join(options.outDir, `${name}-diff.png`);
+  fs.writeFileSync(diffPath, encodePng(diff.image));
+  return {
+    baseline: baselinePath,
+    diff: diffPath,
+    mismatchedPixels: diff.mismatched,
+    mismatchPercent: Math.round(diff.percent * 1000) / 1000,
+    sizeMatches: diff.sizeMatches,
+    passes: diff.sizeMatches && diff.percent <= options.maxMismatch,
+  };
+}
+
+async function commandSnapshot(options, theme) {
+  fs.mkdirSync(options.outDir, { recursive: true });
+  const results = [];
+
+  const windows = await forEachWindow(options.port, async (session, targetInfo, index) => {
+    const name = snapshotName(targetInfo, index);
+    const { result } = await session.send("Runtime.evaluate", {
+      expression: buildReadStyleExpression(),
+      returnByValue: true,
+    });
+    const previousCss = result && typeof result.value === "string" ? result.value : null;
+
+    let themed;
+    let original;
+    try {
+      await injectTarget(session, theme.css, await preferredBackground(session, theme));
+      themed = await captureWindow(session);
+      await removeFromTarget(session);
+      original = await captureWindow(session);
+    } finally {
+      if (previousCss === null) {
+        await removeFromTarget(session).catch(() => {});
+      } else {
+        await session.send("Runtime.evaluate", { expression: buildInjectExpression(previousCss) }).catch(() => {});
+      }
+    }
+
+    const themedPath = path.join(options.outDir, `${name}-themed.png`);
+    const originalPath = path.join(options.outDir, `${name}-original.png`);
+    fs.writeFileSync(themedPath, themed);
+    fs.writeFileSync(originalPath, original);
+    results.push({
+      window: targetLabel(targetInfo),
+      themed: themedPath,
+      original: originalPath,
+      ...compareWithBaseline(name, themed, options),
+    });
+  });
+
+  if (windows === 0) {
+    throw new Error("No Codex windows found over CDP");
+  }
+  if (results.some((entry) => entry.passes === false)) {
+    process.exitCode = 1;
+  }
+  if (options.json) {
+    console.log(JSON.stringify({ maxMismatchPercent: options.maxMismatch, windows: results }, null, 2));
+    return;
+  }
+
+  for (const entry of results) {
+    console.log(`${entry.window}: ${entry.themed}, ${entry.original}`);
+    if (entry.updated) {
+      console.log(`  baseline updated: ${entry.baseline}`);
+    } else if (!entry.baseline) {
+      console.log("  no baseline yet (run with --update-baseline)");
+    } else {
+      const size = entry.sizeMatches ? "" : ", size differs";
+      const status = entry.passes ? "ok" : "FAIL";
+      console.log(
+        `  ${status}: ${entry.mismatchPercent}% pixels differ from baseline (${entry.mismatchedPixels} px${size}), ` +
+          `diff: ${entry.diff}`,
+      );
+    }
+  }
 }
 
 async function main() {
   const options = parseArgs(process.argv);
 
+  const loaded = options.remove ? null : loadTheme(options.theme);
+  const variants = loaded && !options.cssPath ? resolveThemeVariants(loaded) : null;
+  const paired = Boolean(variants && variants.dark && variants.light);
+  const theme = loaded
+    ? {
+        css: options.cssPath ? readCssFile(options.cssPath) : buildThemeVariantsCss(variants),
+        background: parseColor(loaded.colors.background),
+        backgrounds: paired
+          ? { dark: parseColor(variants.dark.colors.background), light: parseColor(variants.light.colors.background) }
+          : null,
+        cssPath: options.cssPath,
+        checked: false,
+      }
+    : null;
+  if (variants && ["inject", "snapshot"].includes(options.command)) {
+    for (const missing of findMissingVariantFonts(variants)) {
+      console.warn(`warning: ${missing.themes.join(", ")}: ${formatMissingFont(missing)}`);
+    }
+  }
+
   if (options.startApp) {
     startApp(options.appPath, options.port);
     await sleep(1600);
   }
 
-  const processedTargets = new Set();
+  if (options.command === "audit") {
+    await commandAudit(options, loaded, variants || { [loaded.type]: loaded });
+    return;
+  }
+  if (options.command === "contrast") {
+    await commandContrast(options, loaded, variants || { [loaded.type]: loaded });
+    return;
+  }
+  if (options.command === "snapshot") {
+    await commandSnapshot(options, theme);
+    return;
+  }
 
   if (options.once || options.remove) {
-    await injectToTargets(options.port, options.remove, processedTargets);
+    await applyOnce(options.port, theme, options.remove);
     return;
   }
 
-  console.log(`watch mode: CDP http://127.0.0.1:${options.port}`);
-  while (true) {
-    try {
-      await injectToTargets(options.port, false, processedTargets);
-    } catch (error) {
-      console.warn(`waiting for Codex CDP endpoint: ${error.message}`);
-    }
-    await sleep(POLL_INTERVAL_MS);
+  const styled = new Map();
+  if (options.watchCss) {
+    watchCssFile(theme, styled);
+    console.log(`watching ${options.cssPath}`);
   }
+  if (options.editor) {
+    startEditor(options.editorPort, loaded, variants, theme, styled);
+  }
+  console.log(`watch mode: CDP http://127.0.0.1:${options.port}`);
+  await watchTargets(options.port, theme, styled);
 }
 
 main().catch((error) => {
@@ -2,96 +2,66 @@
 
 const fs = require("fs");
 const path = require("path");
-const crypto = require("crypto");
 const { spawnSync } = require("child_process");
+const {
+  getAsarHeaderHash,
+  parseAsar,
+  extractFileMap,
+  resolveEntry,
+  listEntries,
+  checkUnpacked,
+  verifyIntegrity,
+  readEntry,
+  buildAsar,
+  extractAsar,
+  packDirectory,
+} = require("./lib/asar");
+const { listBackups, findBackup, createBackup, removeBackup } = require("./lib/backups");
+const { getUserRecipesDir, getBackupsDir, getRuntimeThemePaths } = require("./lib/config");
+const { formatUnifiedDiff, lineNumberAt } = require("./lib/diff");
+const { findMissingFonts, findMissingVariantFonts, formatMissingFont } = require("./lib/fonts");
+const { buildHelperCode } = require("./lib/patch-runtime");
+const {
+  readPlistFile,
+  writePlistFile,
+  listAsarIntegrity,
+  getAsarIntegrityHash,
+  setAsarIntegrityHash,
+} = require("./lib/plist");
+const { loadRecipes, selectRecipes, resolveTarget, planRecipe } = require("./lib/recipes");
+const { buildLaunchdAgent, buildSystemdUnit, getServiceInstallPath, LAUNCHD_LABEL } = require("./lib/service");
+const {
+  DEFAULT_THEME,
+  listBuiltinThemes,
+  loadTheme,
+  resolveThemeVariants,
+  serializeTheme,
+  buildThemeVariantsCss,
+} = require("./lib/theme");
+const { acquireLock, commitFiles, recoverTransaction } = require("./lib/transaction");
 
-const TARGET_BUNDLE_PATH = ".vite/build/main-CQwPb0Th.js";
 const PATCH_MARKER = "/*codex-darcula-patch*/";
-const INTEGRITY_BLOCK_SIZE = 4 * 1024 * 1024;
-
-const DARCULA_CSS = `${PATCH_MARKER}
-:root,
-html,
-body,
-#root {
-  color-scheme: dark !important;
-  background: #2b2b2b !important;
-  color: #a9b7c6 !important;
-}
-
-* {
-  border-color: #4e5254 !important;
-}
-
-main,
-section,
-article,
-aside,
-header,
-footer,
-nav,
-div[data-panel],
-[data-theme="dark"] {
-  background-color: #2b2b2b !important;
-  color: #a9b7c6 !important;
-}
-
-aside,
-nav,
-[data-sidebar],
-[role="complementary"] {
-  background-color: #3c3f41 !important;
-}
-
-button,
-input,
-textarea,
-select,
-[role="button"] {
-  background-color: #3c3f41 !important;
-  color: #a9b7c6 !important;
-  border-color: #5c6164 !important;
-}
-
-button:hover,
-[role="button"]:hover {
-  background-color: #4b5052 !important;
-}
-
-a {
-  color: #589df6 !important;
-}
-
-a:hover {
-  color: #73b1ff !important;
-}
-
-pre,
-code {
-  background-color: #313335 !important;
-  color: #a9b7c6 !important;
-}
-
-::selection {
-  background: #214283 !important;
-  color: #dfe6ee !important;
-}
-
-::-webkit-scrollbar-thumb {
-  background: #5c6164 !important;
-  border-radius: 8px !important;
-}
-
-::-webkit-scrollbar-track {
-  background: #2b2b2b !important;
-}
-`;
+const ASAR_INTEGRITY_KEY = "Resources/app.asar";
+const PLIST_BUDDY_PATH = "/usr/libexec/PlistBuddy";
+const WATCH_INTERVAL_SECONDS = 10;
+const WATCH_SETTLE_MS = 15 * 1000;
+const WATCH_SETTLE_POLL_MS = 2000;
+const WATCH_RETRY_BASE_MS = 60 * 1000;
+const WATCH_RETRY_MAX_MS = 60 * 60 * 1000;
 
 function parseArgs(argv) {
   const result = {
     command: argv[2] || "status",
     appPath: "/Applications/Codex.app",
     codeSign: true,
+    theme: DEFAULT_THEME,
+    outPath: null,
+    asarPath: null,
+    plistOutPath: null,
+    dryRun: false,
+    force: false,
+    interval: WATCH_INTERVAL_SECONDS,
+    args: [],
   };
 
   for (let i = 3; i < argv.length; i += 1) {
@@ -101,13 +71,56 @@ function parseArgs(argv) {
       i += 1;
       continue;
     }
+    if (arg === "--theme" && argv[i + 1]) {
+      result.theme = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--asar" && argv[i + 1]) {
+      result.asarPath = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--out" && argv[i + 1]) {
+      result.outPath = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--interval" && argv[i + 1]) {
+      result.interval = Number(argv[i + 1]);
+      if (!Number.isFinite(result.interval) || result.interval <= 0) {
+        throw new Error(`Invalid --interval: ${argv[i + 1]}`);
+      }
+      i += 1;
+      continue;
+    }
+    if (arg === "--plist-out" && argv[i + 1]) {
+      result.plistOutPath = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--dry-run") {
+      result.dryRun = true;
+      continue;
+    }
     if (arg === "--no-codesign") {
       result.codeSign = false;
       continue;
     }
+    if (arg === "--force") {
+      result.force = true;
+      continue;
+    }
+    if (!arg.startsWith("-")) {
+      result.args.push(arg);
+      continue;
+    }
     throw new Error(`Unknown argument: ${arg}`);
   }
 
+  if (result.plistOutPath && !result.outPath) {
+    throw new Error("--plist-out requires --out <file.asar>");
+  }
   return result;
 }
 
@@ -116,11 +129,18 @@ function getPaths(appPath) {
   return {
     appPath,
     infoPlistPath: path.join(appPath, "Contents", "Info.plist"),
-    infoPlistBackupPath: path.join(resourcesDir, "Info.plist.bak-darcula"),
+    infoPlistTempPath: path.join(appPath, "Contents", "Info.plist.tmp-darcula"),
     asarPath: path.join(resourcesDir, "app.asar"),
-    backupPath: path.join(resourcesDir, "app.asar.bak-darcula"),
+    unpackedDir: path.join(resourcesDir, "app.asar.unpacked"),
+    backupsDir: getBackupsDir(),
+    bundleBackupsDir: path.join(resourcesDir, "darcula-backups"),
+    legacyBackupPath: path.join(resourcesDir, "app.asar.bak-darcula"),
+    legacyInfoPlistBackupPath: path.join(resourcesDir, "Info.plist.bak-darcula"),
     metaPath: path.join(resourcesDir, "app.asar.darcula-meta.json"),
+    metaTempPath: path.join(resourcesDir, "app.asar.darcula-meta.json.tmp-darcula"),
     tempPath: path.join(resourcesDir, "app.asar.tmp-darcula"),
+    lockPath: path.join(resourcesDir, "darcula.lock"),
+    journalPath: path.join(resourcesDir, "darcula-transaction.json"),
   };
 }
 
@@ -130,373 +150,1020 @@ function ensureExists(filePath, description) {
   }
 }
 
-function sha256(buffer) {
-  return crypto.createHash("sha256").update(buffer).digest("hex");
-}
-
-function getAsarHeaderHash(asarBuffer) {
-  if (asarBuffer.length < 20) {
-    throw new Error("Invalid asar: too small");
+function patchBundleSource(target, variants) {
+  if (target.sourceText.includes(PATCH_MARKER)) {
+    return { sourceText: target.sourceText, edits: [], alreadyPatched: true };
   }
-  const headerJsonLength = asarBuffer.readUInt32LE(12);
-  const headerStart = 16;
-  const headerEnd = headerStart + headerJsonLength;
-  if (headerEnd > asarBuffer.length) {
-    throw new Error("Invalid asar: header length exceeds file size");
-  }
-  return sha256(asarBuffer.slice(headerStart, headerEnd));
+
+  const helper = buildHelperCode(variants, PATCH_MARKER);
+  const { sourceText, edits } = planRecipe(target, { helper, marker: PATCH_MARKER });
+  return { sourceText, edits, alreadyPatched: false };
 }
 
-function parseAsar(buffer) {
-  if (buffer.length < 20) {
-    throw new Error("Invalid asar: too small");
+function readAsarPackageVersion(fileMap) {
+  const packageJson = fileMap.get("package.json");
+  if (!packageJson) {
+    return null;
   }
-
-  const headerJsonLength = buffer.readUInt32LE(12);
-  const headerStart = 16;
-  const headerEnd = headerStart + headerJsonLength;
-
-  if (headerEnd > buffer.length) {
-    throw new Error("Invalid asar: header length exceeds file size");
+  try {
+    return JSON.parse(packageJson.toString("utf8")).version || null;
+  } catch {
+    return null;
   }
+}
 
-  const headerJson = buffer.slice(headerStart, headerEnd).toString("utf8");
-  const header = JSON.parse(headerJson);
+function loadBundleSourceFromAsar(asarBuffer, plistVersion) {
+  const { header, dataOffset } = parseAsar(asarBuffer);
+  const fileMap = extractFileMap(asarBuffer, header, dataOffset);
+  const version = plistVersion || readAsarPackageVersion(fileMap);
+  const target = resolveTarget(loadRecipes(), fileMap, version, PATCH_MARKER);
 
   return {
     header,
-    headerJsonLength,
-    dataOffset: headerEnd,
+    fileMap,
+    version,
+    target,
+    bundlePath: target.bundlePath,
+    bundleSource: target.sourceText,
   };
 }
 
-function walkLeafEntries(node, prefix, visitor) {
-  const files = node && node.files ? node.files : {};
-  for (const [name, entry] of Object.entries(files)) {
-    const rel = prefix ? `${prefix}/${name}` : name;
-    if (entry && entry.files) {
-      walkLeafEntries(entry, rel, visitor);
-    } else {
-      visitor(rel, entry);
-    }
+function readAsarVersion(asarBuffer) {
+  const { header, dataOffset } = parseAsar(asarBuffer);
+  const entry = header.files && header.files["package.json"];
+  if (!entry || entry.files || entry.unpacked === true || entry.link !== undefined) {
+    return null;
   }
+  return readAsarPackageVersion(new Map([["package.json", readEntry(asarBuffer, dataOffset, "package.json", entry)]]));
 }
 
-function extractFileMap(asarBuffer, header, dataOffset) {
-  const map = new Map();
-
-  walkLeafEntries(header, "", (relPath, entry) => {
-    if (entry.unpacked === true) {
-      return;
-    }
-
-    const offset = Number(entry.offset);
-    const size = Number(entry.size);
-    const start = dataOffset + offset;
-    const end = start + size;
+function getInstalledVersion(paths, asarBuffer) {
+  return getInfoPlistVersion(paths.infoPlistPath) || readAsarVersion(asarBuffer);
+}
 
-    if (!Number.isFinite(offset) || !Number.isFinite(size) || start < 0 || end > asarBuffer.length) {
-      throw new Error(`Invalid entry offsets for ${relPath}`);
+// Backups used to live inside the app bundle, where a Codex update deletes them together with the old app.
+function migrateBundleBackups(paths) {
+  for (const backup of listBackups(paths.bundleBackupsDir)) {
+    if (!findBackup(paths.backupsDir, backup.codexVersion, backup.headerSha256)) {
+      fs.cpSync(backup.dir, path.join(paths.backupsDir, backup.id), { recursive: true });
     }
+    removeBackup(backup);
+    console.log(`Backup ${backup.id} moved to ${paths.backupsDir}`);
+  }
+  if (fs.existsSync(paths.bundleBackupsDir) && fs.readdirSync(paths.bundleBackupsDir).length === 0) {
+    fs.rmdirSync(paths.bundleBackupsDir);
+  }
+}
 
-    map.set(relPath, asarBuffer.slice(start, end));
-  });
+function migrateLegacyBackups(paths) {
+  migrateBundleBackups(paths);
+  if (!fs.existsSync(paths.legacyBackupPath)) {
+    return;
+  }
+  if (!fs.existsSync(paths.legacyInfoPlistBackupPath)) {
+    console.warn(`Legacy backup ${paths.legacyBackupPath} has no Info.plist copy; leaving it in place.`);
+    return;
+  }
 
-  return map;
+  const asarBuffer = fs.readFileSync(paths.legacyBackupPath);
+  const version = getInfoPlistVersion(paths.legacyInfoPlistBackupPath) || readAsarVersion(asarBuffer);
+  const headerHash = getAsarHeaderHash(asarBuffer);
+  if (!findBackup(paths.backupsDir, version, headerHash)) {
+    createBackup(paths.backupsDir, {
+      asarBuffer,
+      infoPlistPath: paths.legacyInfoPlistBackupPath,
+      version,
+      headerHash,
+      plistHash: getInfoPlistAsarHash(paths.legacyInfoPlistBackupPath),
+    });
+  }
+  fs.rmSync(paths.legacyBackupPath);
+  fs.rmSync(paths.legacyInfoPlistBackupPath);
+  console.log(`Legacy backup moved to ${paths.backupsDir}`);
 }
 
-function buildAsar(header, fileMap) {
-  const chunks = [];
-  let runningOffset = 0;
-
-  function computeEntryIntegrity(fileBuffer) {
-    const blocks = [];
-    for (let offset = 0; offset < fileBuffer.length; offset += INTEGRITY_BLOCK_SIZE) {
-      const chunk = fileBuffer.slice(offset, Math.min(offset + INTEGRITY_BLOCK_SIZE, fileBuffer.length));
-      blocks.push(sha256(chunk));
-    }
-    return {
-      algorithm: "SHA256",
-      hash: sha256(fileBuffer),
-      blockSize: INTEGRITY_BLOCK_SIZE,
-      blocks,
-    };
+function ensureBackup(paths, asarBuffer, version) {
+  const headerHash = getAsarHeaderHash(asarBuffer);
+  const existing = findBackup(paths.backupsDir, version, headerHash);
+  if (existing) {
+    console.log(`Backup exists: ${existing.dir}`);
+    return existing;
   }
 
-  function rebuildNode(node, prefix) {
-    const out = { ...node };
-    if (!node.files) {
-      return out;
-    }
+  const backup = createBackup(paths.backupsDir, {
+    asarBuffer,
+    infoPlistPath: paths.infoPlistPath,
+    version,
+    headerHash,
+    plistHash: getInfoPlistAsarHash(paths.infoPlistPath),
+  });
+  console.log(`Backup created: ${backup.dir}`);
+  return backup;
+}
 
-    out.files = {};
+function getOriginalHeaderHash(paths, asarBuffer) {
+  const meta = readMeta(paths);
+  return asarBuffer.includes(PATCH_MARKER) ? (meta && meta.oldSha256) || null : getAsarHeaderHash(asarBuffer);
+}
 
-    for (const [name, entry] of Object.entries(node.files)) {
-      const relPath = prefix ? `${prefix}/${name}` : name;
+// Backups are keyed by version and original header hash: a same-version backup of another build is not a match.
+function selectInstalledBackup(paths, version, asarBuffer) {
+  const originalHash = getOriginalHeaderHash(paths, asarBuffer);
+  return (
+    listBackups(paths.backupsDir).find(
+      (backup) => backup.codexVersion === version && backup.headerSha256 === originalHash,
+    ) || null
+  );
+}
 
-      if (entry && entry.files) {
-        out.files[name] = rebuildNode(entry, relPath);
-        continue;
-      }
+function tryCodeSign(appPath) {
+  const result = spawnSync("codesign", ["--force", "--deep", "--sign", "-", appPath], {
+    stdio: "inherit",
+  });
 
-      if (entry.unpacked === true) {
-        out.files[name] = { ...entry };
-        continue;
-      }
+  if (result.error && result.error.code === "ENOENT") {
+    console.warn("codesign not found; skipping signature update.");
+    return true;
+  }
+  if (result.status !== 0) {
+    console.warn("codesign failed.");
+    return false;
+  }
+  console.log("codesign completed.");
+  return true;
+}
 
-      const fileBuffer = fileMap.get(relPath);
-      if (!fileBuffer) {
-        throw new Error(`Missing data for file: ${relPath}`);
-      }
+function hasPlistBuddy() {
+  return fs.existsSync(PLIST_BUDDY_PATH);
+}
 
-      const rebuiltEntry = { ...entry };
-      rebuiltEntry.offset = String(runningOffset);
-      rebuiltEntry.size = fileBuffer.length;
-      rebuiltEntry.integrity = computeEntryIntegrity(fileBuffer);
+function runPlistBuddy(command, infoPlistPath) {
+  return spawnSync(PLIST_BUDDY_PATH, ["-c", command, infoPlistPath], { encoding: "utf8" });
+}
 
-      out.files[name] = rebuiltEntry;
-      chunks.push(fileBuffer);
-      runningOffset += fileBuffer.length;
+function readInfoPlist(infoPlistPath) {
+  try {
+    return readPlistFile(infoPlistPath);
+  } catch (error) {
+    if (!hasPlistBuddy()) {
+      throw error;
     }
-
-    return out;
+    console.warn(`${error.message}; falling back to PlistBuddy.`);
+    return null;
   }
+}
 
-  const rebuiltHeader = rebuildNode(header, "");
-  const headerJsonBuffer = Buffer.from(JSON.stringify(rebuiltHeader), "utf8");
-
-  const prelude = Buffer.alloc(16);
-  prelude.writeUInt32LE(4, 0);
-  prelude.writeUInt32LE(headerJsonBuffer.length + 8, 4);
-  prelude.writeUInt32LE(headerJsonBuffer.length + 4, 8);
-  prelude.writeUInt32LE(headerJsonBuffer.length, 12);
+function getInfoPlistVersion(infoPlistPath) {
+  const plist = readInfoPlist(infoPlistPath);
+  if (!plist) {
+    const result = runPlistBuddy("Print :CFBundleShortVersionString", infoPlistPath);
+    return result.status === 0 ? result.stdout.trim() || null : null;
+  }
 
-  return Buffer.concat([prelude, headerJsonBuffer, ...chunks]);
+  const version = plist.value instanceof Map ? plist.value.get("CFBundleShortVersionString") : null;
+  return typeof version === "string" ? version : null;
 }
 
-function patchBundleSource(sourceText) {
-  if (sourceText.includes(PATCH_MARKER)) {
-    return { sourceText, alreadyPatched: true };
+function getInfoPlistAsarHash(infoPlistPath) {
+  const plist = readInfoPlist(infoPlistPath);
+  if (plist) {
+    return getAsarIntegrityHash(plist.value, ASAR_INTEGRITY_KEY);
   }
 
-  const themeSourceAnchor =
-    'function dB(t){t==="light"||t==="dark"?U.nativeTheme.themeSource=t:U.nativeTheme.themeSource="system"}';
-
-  if (!sourceText.includes(themeSourceAnchor)) {
-    throw new Error("Could not find nativeTheme anchor in bundle");
+  const result = runPlistBuddy(`Print :ElectronAsarIntegrity:${ASAR_INTEGRITY_KEY}:hash`, infoPlistPath);
+  if (result.status !== 0) {
+    throw new Error(`Could not read asar hash from Info.plist: ${result.stderr || result.stdout}`.trim());
   }
+  return result.stdout.trim();
+}
 
-  const helperCode =
-    `${themeSourceAnchor}const cdpDarculaCss=${JSON.stringify(DARCULA_CSS)};` +
-    "function cdpApplyDarcula(win){if(!win||win.isDestroyed())return;const apply=()=>{if(win.isDestroyed())return;try{const wc=win.webContents;if(!wc||wc.isDestroyed())return;wc.insertCSS(cdpDarculaCss).catch(()=>{});}catch{}};win.webContents.once(\"did-finish-load\",apply);if(!win.webContents.isLoadingMainFrame())apply();}";
+function setInfoPlistAsarHash(infoPlistPath, hash) {
+  const plist = readInfoPlist(infoPlistPath);
+  if (plist) {
+    setAsarIntegrityHash(plist.value, ASAR_INTEGRITY_KEY, hash);
+    writePlistFile(infoPlistPath, plist.value, plist.format);
+    return;
+  }
 
-  let patched = sourceText.replace(themeSourceAnchor, helperCode);
+  const result = runPlistBuddy(`Set :ElectronAsarIntegrity:${ASAR_INTEGRITY_KEY}:hash ${hash}`, infoPlistPath);
+  if (result.status !== 0) {
+    throw new Error(`Could not update asar hash in Info.plist: ${result.stderr || result.stdout}`.trim());
+  }
+}
 
-  const windowCreationAnchor =
-    "this.installNativeContextMenu(y),l&&this.installLiquidGlass(y,u),!U.app.isPackaged";
+function listInfoPlistIntegrity(infoPlistPath) {
+  const plist = readInfoPlist(infoPlistPath);
+  return plist ? listAsarIntegrity(plist.value) : [];
+}
 
-  if (!patched.includes(windowCreationAnchor)) {
-    throw new Error("Could not find BrowserWindow hook anchor in bundle");
+function readMeta(paths) {
+  if (!fs.existsSync(paths.metaPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(paths.metaPath, "utf8"));
+  } catch {
+    return null;
   }
+}
 
-  patched = patched.replace(
-    windowCreationAnchor,
-    "this.installNativeContextMenu(y),l&&this.installLiquidGlass(y,u),cdpApplyDarcula(y),!U.app.isPackaged",
+function getLeftovers(paths) {
+  return [paths.journalPath, paths.tempPath, paths.infoPlistTempPath, paths.metaTempPath].filter((filePath) =>
+    fs.existsSync(filePath),
   );
+}
 
-  if (!patched.includes(PATCH_MARKER) || !patched.includes("cdpApplyDarcula(y)")) {
-    throw new Error("Patch verification failed");
+function cleanupInterruptedRun(paths) {
+  const recovered = recoverTransaction(paths.journalPath);
+  if (recovered) {
+    console.warn(`Interrupted transaction ${paths.journalPath} was ${recovered}.`);
+  }
+  for (const leftover of getLeftovers(paths)) {
+    fs.rmSync(leftover, { force: true });
+    console.warn(`Removed leftover ${leftover} from an interrupted run.`);
   }
-
-  return { sourceText: patched, alreadyPatched: false };
 }
 
-function loadBundleSourceFromAsar(asarBuffer) {
-  const { header, dataOffset } = parseAsar(asarBuffer);
-  const fileMap = extractFileMap(asarBuffer, header, dataOffset);
-  const bundle = fileMap.get(TARGET_BUNDLE_PATH);
-
-  if (!bundle) {
-    throw new Error(`Target bundle not found: ${TARGET_BUNDLE_PATH}`);
+function withLock(paths, label, fn) {
+  ensureExists(paths.asarPath, "app.asar");
+  const release = acquireLock(paths.lockPath, label);
+  try {
+    cleanupInterruptedRun(paths);
+    return fn();
+  } finally {
+    release();
   }
-
-  return {
-    header,
-    fileMap,
-    bundleSource: bundle.toString("utf8"),
-  };
 }
 
-function ensureBackup(paths, currentAsarBuffer) {
-  if (!fs.existsSync(paths.backupPath)) {
-    fs.writeFileSync(paths.backupPath, currentAsarBuffer);
-    console.log(`Backup created: ${paths.backupPath}`);
-  } else {
-    console.log(`Backup exists: ${paths.backupPath}`);
+function stageInstall(paths, { asarBuffer, asarHash, plistSource, meta }) {
+  const files = [];
+  if (asarBuffer) {
+    fs.writeFileSync(paths.tempPath, asarBuffer);
+    files.push({ target: paths.asarPath, staged: paths.tempPath });
   }
 
-  if (!fs.existsSync(paths.infoPlistBackupPath)) {
-    fs.copyFileSync(paths.infoPlistPath, paths.infoPlistBackupPath);
-    console.log(`Backup created: ${paths.infoPlistBackupPath}`);
-  } else {
-    console.log(`Backup exists: ${paths.infoPlistBackupPath}`);
+  fs.copyFileSync(plistSource || paths.infoPlistPath, paths.infoPlistTempPath);
+  if (getInfoPlistAsarHash(paths.infoPlistTempPath) !== asarHash) {
+    setInfoPlistAsarHash(paths.infoPlistTempPath, asarHash);
   }
-}
+  files.push({ target: paths.infoPlistPath, staged: paths.infoPlistTempPath });
 
-function tryCodeSign(appPath) {
-  const result = spawnSync("codesign", ["--force", "--deep", "--sign", "-", appPath], {
-    stdio: "inherit",
-  });
-
-  if (result.status !== 0) {
-    console.warn("codesign failed; app may still run, but macOS can reject it in some cases.");
-  } else {
-    console.log("codesign completed.");
+  if (meta) {
+    fs.writeFileSync(paths.metaTempPath, JSON.stringify(meta, null, 2));
+    files.push({ target: paths.metaPath, staged: paths.metaTempPath });
   }
+  return files;
 }
 
-function getInfoPlistAsarHash(infoPlistPath) {
-  const result = spawnSync(
-    "/usr/libexec/PlistBuddy",
-    ["-c", "Print :ElectronAsarIntegrity:Resources/app.asar:hash", infoPlistPath],
-    { encoding: "utf8" },
-  );
-
-  if (result.status !== 0) {
-    throw new Error(`Could not read asar hash from Info.plist: ${result.stderr || result.stdout}`.trim());
+function verifyStaged(paths, asarHash, stagedAsar) {
+  if (stagedAsar) {
+    const stagedBuffer = fs.readFileSync(paths.tempPath);
+    if (getAsarHeaderHash(stagedBuffer) !== asarHash) {
+      throw new Error("staged app.asar header does not match the expected hash");
+    }
+    const broken = verifyIntegrity(stagedBuffer).filter((result) => result.status !== "ok");
+    if (broken.length > 0) {
+      throw new Error(`staged app.asar has ${broken.length} broken entries (first: ${broken[0].path})`);
+    }
+  }
+  const plistHash = getInfoPlistAsarHash(paths.infoPlistTempPath);
+  if (plistHash !== asarHash) {
+    throw new Error(`staged Info.plist hash ${plistHash} does not match app.asar ${asarHash}`);
   }
-
-  return result.stdout.trim();
 }
 
-function setInfoPlistAsarHash(infoPlistPath, hash) {
-  const result = spawnSync(
-    "/usr/libexec/PlistBuddy",
-    ["-c", `Set :ElectronAsarIntegrity:Resources/app.asar:hash ${hash}`, infoPlistPath],
-    { encoding: "utf8" },
-  );
+function installFiles(paths, codeSign, install) {
+  let files = [];
+  try {
+    files = stageInstall(paths, install);
+    verifyStaged(paths, install.asarHash, Boolean(install.asarBuffer));
+  } catch (error) {
+    for (const file of files) {
+      fs.rmSync(file.staged, { force: true });
+    }
+    for (const leftover of [paths.tempPath, paths.infoPlistTempPath, paths.metaTempPath]) {
+      fs.rmSync(leftover, { force: true });
+    }
+    throw new Error(`Staging failed, nothing was changed: ${error.message}`);
+  }
 
-  if (result.status !== 0) {
-    throw new Error(`Could not update asar hash in Info.plist: ${result.stderr || result.stdout}`.trim());
+  const transaction = commitFiles(paths.journalPath, files);
+  if (codeSign && !tryCodeSign(paths.appPath)) {
+    transaction.rollback();
+    throw new Error("codesign failed; changes rolled back (use --no-codesign to skip signing)");
   }
+  transaction.finish();
 }
 
-function writeMeta(paths, payload) {
-  fs.writeFileSync(paths.metaPath, JSON.stringify(payload, null, 2));
+function summarizeUnpacked(results) {
+  const problems = results.filter((result) => result.status !== "ok");
+  return {
+    problems,
+    summary: `${results.length - problems.length}/${results.length} ok`,
+  };
 }
 
 function commandStatus(paths) {
   ensureExists(paths.infoPlistPath, "Info.plist");
   ensureExists(paths.asarPath, "app.asar");
   const asarBuffer = fs.readFileSync(paths.asarPath);
-  const { bundleSource } = loadBundleSourceFromAsar(asarBuffer);
+  const { header, bundlePath, bundleSource, version, target } = loadBundleSourceFromAsar(
+    asarBuffer,
+    getInfoPlistVersion(paths.infoPlistPath),
+  );
   const headerHash = getAsarHeaderHash(asarBuffer);
   const plistHash = getInfoPlistAsarHash(paths.infoPlistPath);
 
   console.log(`app: ${paths.appPath}`);
   console.log(`asar: ${paths.asarPath}`);
-  console.log(`backup: ${fs.existsSync(paths.backupPath) ? "yes" : "no"}`);
-  console.log(`plist-backup: ${fs.existsSync(paths.infoPlistBackupPath) ? "yes" : "no"}`);
-  console.log(`darcula-patched: ${bundleSource.includes(PATCH_MARKER) ? "yes" : "no"}`);
+  console.log(`codex-version: ${version || "unknown"}`);
+  console.log(`recipe: ${target.recipe.id} (${target.recipe.source})`);
+  console.log(`bundle: ${bundlePath}`);
+  const backup = selectInstalledBackup(paths, version, asarBuffer);
+  const otherBackups = listBackups(paths.backupsDir).filter((item) => !backup || item.id !== backup.id);
+  console.log(`backup: ${backup ? backup.id : "no"}`);
+  if (otherBackups.length > 0) {
+    console.log(`stale-backups: ${otherBackups.map((item) => item.id).join(", ")}`);
+  }
+  if (fs.existsSync(paths.legacyBackupPath)) {
+    console.log(`legacy-backup: ${paths.legacyBackupPath}`);
+  }
+  for (const legacy of listBackups(paths.bundleBackupsDir)) {
+    console.log(`legacy-backup: ${legacy.dir} (moved to ${paths.backupsDir} by the next patch/restore/backups)`);
+  }
+  for (const leftover of getLeftovers(paths)) {
+    console.log(`leftover: ${leftover} (interrupted run, cleaned up by the next patch/restore)`);
+  }
+  if (fs.existsSync(paths.lockPath)) {
+    console.log(`lock: ${paths.lockPath} (${fs.readFileSync(paths.lockPath, "utf8").trim()})`);
+  }
+  const patched = bundleSource.includes(PATCH_MARKER);
+  const meta = readMeta(paths);
+  console.log(`darcula-patched: ${patched ? "yes" : "no"}`);
+  if (patched && meta && meta.theme) {
+    const others = Object.entries(meta.variants || {}).filter(([, name]) => name !== meta.theme);
+    console.log(`theme: ${meta.theme}${others.map(([type, name]) => `, ${type}: ${name}`).join("")}`);
+  }
+  if (patched) {
+    const runtimeTheme = getRuntimeThemePaths();
+    const activeFile = [runtimeTheme.css, runtimeTheme.palette].find((filePath) => fs.existsSync(filePath));
+    console.log(`runtime-theme: ${activeFile || `embedded (no ${runtimeTheme.css} or ${runtimeTheme.palette})`}`);
+    for (const missing of findMissingFonts(meta && meta.typography)) {
+      console.log(`font-warning: ${formatMissingFont(missing)}`);
+    }
+  }
   console.log(`asar-header-sha256: ${headerHash}`);
   console.log(`plist-sha256: ${plistHash}`);
   console.log(`integrity-match: ${headerHash === plistHash ? "yes" : "no"}`);
+  for (const entry of listInfoPlistIntegrity(paths.infoPlistPath)) {
+    if (entry.key !== ASAR_INTEGRITY_KEY) {
+      console.log(`plist-integrity[${entry.key}]: ${entry.algorithm} ${entry.hash}`);
+    }
+  }
+
+  const unpacked = checkUnpacked(header, paths.unpackedDir);
+  if (unpacked.length > 0) {
+    const { problems, summary } = summarizeUnpacked(unpacked);
+    console.log(`unpacked-files: ${summary}`);
+    for (const problem of problems) {
+      console.log(`  ${problem.status}: ${problem.path}`);
+    }
+  }
+}
+
+function commandVerify(paths) {
+  ensureExists(paths.infoPlistPath, "Info.plist");
+  ensureExists(paths.asarPath, "app.asar");
+  const asarBuffer = fs.readFileSync(paths.asarPath);
+  const problems = [];
+
+  const results = verifyIntegrity(asarBuffer);
+  console.log(`asar: ${paths.asarPath}`);
+  for (const result of results) {
+    console.log(`  ${result.status}: ${result.path}${result.detail ? ` (${result.detail})` : ""}`);
+    if (result.status !== "ok") {
+      problems.push(`${result.path}: ${result.status}`);
+    }
+  }
+  console.log(`files: ${results.filter((result) => result.status === "ok").length}/${results.length} ok`);
+
+  const unpacked = checkUnpacked(parseAsar(asarBuffer).header, paths.unpackedDir);
+  for (const result of unpacked) {
+    console.log(`  unpacked ${result.status}: ${result.path}`);
+    if (result.status !== "ok") {
+      problems.push(`unpacked ${result.path}: ${result.status}`);
+    }
+  }
+
+  const headerHash = getAsarHeaderHash(asarBuffer);
+  const plistHash = getInfoPlistAsarHash(paths.infoPlistPath);
+  console.log(`plist-integrity: ${headerHash === plistHash ? "ok" : `mismatch (${plistHash} != ${headerHash})`}`);
+  if (headerHash !== plistHash) {
+    problems.push("Info.plist ElectronAsarIntegrity does not match the asar header");
+  }
+
+  const meta = readMeta(paths);
+  if (meta && asarBuffer.includes(PATCH_MARKER)) {
+    const metaOk = meta.newSha256 === headerHash;
+    console.log(`meta: ${metaOk ? "ok" : `mismatch (recorded ${meta.newSha256})`}`);
+    if (!metaOk) {
+      problems.push("app.asar changed since the recorded patch");
+    }
+  }
+
+  const backup = selectInstalledBackup(paths, getInstalledVersion(paths, asarBuffer), asarBuffer);
+  if (backup) {
+    const backupAsar = fs.readFileSync(backup.asarPath);
+    const backupProblems = verifyIntegrity(backupAsar).filter((result) => result.status !== "ok");
+    const backupPatched = backupAsar.includes(PATCH_MARKER);
+    const status = backupPatched
+      ? "contains the Darcula patch"
+      : getAsarHeaderHash(backupAsar) !== backup.headerSha256 || backupProblems.length > 0
+        ? "corrupted"
+        : "ok";
+    console.log(`backup: ${status} (${backup.id})`);
+    for (const result of backupProblems) {
+      console.log(`  ${result.status}: ${result.path}`);
+    }
+    if (status !== "ok") {
+      problems.push(`backup ${backup.id} ${status}`);
+    }
+  } else {
+    console.log("backup: none for the installed version");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`verify found ${problems.length} problem(s):\n- ${problems.join("\n- ")}`);
+  }
+  console.log("All checks passed.");
+}
+
+function formatSizeChange(label, before, after) {
+  const delta = after - before;
+  return `${label}: ${before} -> ${after} bytes (${delta >= 0 ? "+" : ""}${delta})`;
 }
 
-function commandPatch(paths, codeSign) {
+function printPatchPlan(plan) {
+  const { version, target, variants, edits, bundleBefore, bundleAfter, asarBefore, asarAfter } = plan;
+  console.log(`codex-version: ${version || "unknown"}`);
+  console.log(`recipe: ${target.recipe.id} (${target.recipe.source})`);
+  console.log(`theme: ${describeVariants(variants)}`);
+  console.log(`bundle: ${target.bundlePath}`);
+  for (const edit of edits) {
+    const match = target.anchors[edit.name][0].text;
+    const line = lineNumberAt(bundleBefore, edit.index);
+    console.log(`anchor ${edit.name}: line ${line}, offset ${edit.index}: ${match.slice(0, 80)}`);
+  }
+  console.log(formatSizeChange("bundle-size", Buffer.byteLength(bundleBefore), Buffer.byteLength(bundleAfter)));
+  console.log(formatSizeChange("asar-size", asarBefore.length, asarAfter.length));
+  console.log(`asar-header-sha256: ${getAsarHeaderHash(asarBefore)} -> ${getAsarHeaderHash(asarAfter)}`);
+  console.log("");
+  console.log(formatUnifiedDiff(target.bundlePath, bundleBefore, edits));
+}
+
+function writePatchedCopy(paths, rebuiltAsar, rebuiltHash, outPath, plistOutPath) {
+  fs.writeFileSync(outPath, rebuiltAsar);
+  console.log(`Patched asar written to ${outPath}`);
+  if (plistOutPath) {
+    fs.copyFileSync(paths.infoPlistPath, plistOutPath);
+    setInfoPlistAsarHash(plistOutPath, rebuiltHash);
+    console.log(`Patched Info.plist written to ${plistOutPath}`);
+  }
+  console.log(`ElectronAsarIntegrity hash: ${rebuiltHash}`);
+}
+
+function commandPatch(paths, codeSign, themeSpec, output = {}) {
+  const theme = loadTheme(themeSpec);
+  const variants = resolveThemeVariants(theme);
+  for (const missing of findMissingVariantFonts(variants)) {
+    console.warn(`Warning: ${missing.themes.join(", ")}: ${formatMissingFont(missing)}`);
+  }
   ensureExists(paths.infoPlistPath, "Info.plist");
   ensureExists(paths.asarPath, "app.asar");
+  const inPlace = !output.dryRun && !output.outPath;
 
+  if (inPlace) {
+    migrateLegacyBackups(paths);
+  }
   const originalAsar = fs.readFileSync(paths.asarPath);
-  ensureBackup(paths, originalAsar);
 
   const originalHash = getAsarHeaderHash(originalAsar);
   const originalPlistHash = getInfoPlistAsarHash(paths.infoPlistPath);
-  const { header, fileMap, bundleSource } = loadBundleSourceFromAsar(originalAsar);
-  const { sourceText: patchedBundleSource, alreadyPatched } = patchBundleSource(bundleSource);
+  const { header, fileMap, bundlePath, version, target } = loadBundleSourceFromAsar(
+    originalAsar,
+    getInfoPlistVersion(paths.infoPlistPath),
+  );
+  const {
+    sourceText: patchedBundleSource,
+    edits,
+    alreadyPatched,
+  } = patchBundleSource(target, variants);
+
+  const { problems: unpackedProblems } = summarizeUnpacked(checkUnpacked(header, paths.unpackedDir));
+  if (unpackedProblems.length > 0) {
+    console.warn(`Warning: ${unpackedProblems.length} unpacked files do not match the asar header:`);
+    for (const problem of unpackedProblems) {
+      console.warn(`  ${problem.status}: ${problem.path}`);
+    }
+  }
+
+  if (alreadyPatched && !inPlace) {
+    const hashNote = originalPlistHash !== originalHash ? " (Info.plist hash is stale; patch would fix it)" : "";
+    if (output.outPath) {
+      throw new Error(`app.asar is already patched${hashNote}; run restore first or patch a clean copy`);
+    }
+    console.log(`Darcula patch is already applied${hashNote}.`);
+    return;
+  }
 
   if (alreadyPatched) {
     if (originalPlistHash !== originalHash) {
-      setInfoPlistAsarHash(paths.infoPlistPath, originalHash);
+      installFiles(paths, codeSign, { asarHash: originalHash });
       console.log("Darcula patch already present; Info.plist hash fixed.");
-      if (codeSign) {
-        tryCodeSign(paths.appPath);
-      }
       return;
     }
-    console.log("Darcula patch is already applied.");
+    console.log("Darcula patch is already applied (run restore first to switch themes).");
     return;
   }
 
-  fileMap.set(TARGET_BUNDLE_PATH, Buffer.from(patchedBundleSource, "utf8"));
+  fileMap.set(bundlePath, Buffer.from(patchedBundleSource, "utf8"));
   const rebuiltAsar = buildAsar(header, fileMap);
   const rebuiltHash = getAsarHeaderHash(rebuiltAsar);
 
-  fs.writeFileSync(paths.tempPath, rebuiltAsar);
-  fs.renameSync(paths.tempPath, paths.asarPath);
-  setInfoPlistAsarHash(paths.infoPlistPath, rebuiltHash);
+  if (output.dryRun) {
+    printPatchPlan({
+      version,
+      target,
+      variants,
+      edits,
+      bundleBefore: target.sourceText,
+      bundleAfter: patchedBundleSource,
+      asarBefore: originalAsar,
+      asarAfter: rebuiltAsar,
+    });
+    return;
+  }
+  if (output.outPath) {
+    writePatchedCopy(paths, rebuiltAsar, rebuiltHash, output.outPath, output.plistOutPath);
+    return;
+  }
+
+  const backup = ensureBackup(paths, originalAsar, version);
 
-  writeMeta(paths, {
+  const meta = {
     patchedAt: new Date().toISOString(),
-    backupPath: paths.backupPath,
-    infoPlistBackupPath: paths.infoPlistBackupPath,
-    targetBundlePath: TARGET_BUNDLE_PATH,
+    backupId: backup.id,
+    backupPath: backup.asarPath,
+    infoPlistBackupPath: backup.infoPlistPath,
+    targetBundlePath: bundlePath,
+    codexVersion: version,
+    recipe: target.recipe.id,
     marker: PATCH_MARKER,
+    theme: theme.name,
+    themePath: theme.path,
+    variants: Object.fromEntries(Object.entries(variants).map(([type, variant]) => [type, variant.name])),
+    typography: theme.typography,
     oldPlistSha256: originalPlistHash,
     oldSha256: originalHash,
     newPlistSha256: rebuiltHash,
     newSha256: rebuiltHash,
-  });
+  };
+  installFiles(paths, codeSign, { asarBuffer: rebuiltAsar, asarHash: rebuiltHash, meta });
 
-  console.log("Darcula patch applied.");
+  console.log(`Darcula patch applied (theme: ${describeVariants(variants)}, recipe: ${target.recipe.id}).`);
   console.log(`old sha256: ${originalHash}`);
   console.log(`new sha256: ${rebuiltHash}`);
+}
+
+function commandRestore(paths, codeSign, force) {
+  ensureExists(paths.infoPlistPath, "Info.plist");
+  ensureExists(paths.asarPath, "app.asar");
+  migrateLegacyBackups(paths);
+
+  const currentAsar = fs.readFileSync(paths.asarPath);
+  const version = getInstalledVersion(paths, currentAsar);
+  let backup = selectInstalledBackup(paths, version, currentAsar);
+  if (!backup) {
+    const available = listBackups(paths.backupsDir);
+    if (available.length === 0) {
+      throw new Error(`Darcula backup not found in ${paths.backupsDir}`);
+    }
+    const sameVersion = available.filter((item) => item.codexVersion === version);
+    if (!force && sameVersion.length > 0) {
+      const originalHash = getOriginalHeaderHash(paths, currentAsar);
+      throw new Error(
+        `No backup of the installed Codex ${version} build (original header ${originalHash || "unknown"}); ` +
+          `same-version backups of other builds: ${sameVersion.map((item) => item.id).join(", ")}. ` +
+          "Restoring one of them could undo an in-place update; " +
+          `rerun with --force to restore ${sameVersion[0].id} anyway.`,
+      );
+    }
+    if (!force) {
+      throw new Error(
+        `No backup for the installed Codex ${version || "(unknown version)"}; ` +
+          `available: ${available.map((item) => item.id).join(", ")}. ` +
+          "Restoring one of them would downgrade app.asar; rerun with --force to restore the newest anyway.",
+      );
+    }
+    backup = sameVersion[0] || available[0];
+    console.warn(`Restoring backup ${backup.id} over Codex ${version || "(unknown version)"} (--force).`);
+  }
 
-  if (codeSign) {
-    tryCodeSign(paths.appPath);
+  const backupAsar = fs.readFileSync(backup.asarPath);
+  let plistSource = backup.infoPlistPath;
+  if (!fs.existsSync(plistSource)) {
+    console.warn(`Info.plist backup not found (${plistSource}), updating the hash in the current Info.plist.`);
+    plistSource = null;
   }
+  installFiles(paths, codeSign, { asarBuffer: backupAsar, asarHash: getAsarHeaderHash(backupAsar), plistSource });
+
+  console.log(`Original app.asar restored from backup ${backup.id}.`);
 }
 
-function commandRestore(paths, codeSign) {
-  ensureExists(paths.infoPlistPath, "Info.plist");
-  ensureExists(paths.backupPath, "Darcula backup");
-  const backupAsar = fs.readFileSync(paths.backupPath);
+function commandBackups(paths, args) {
+  const [subcommand = "list", ...ids] = args;
+  migrateLegacyBackups(paths);
+  const backups = listBackups(paths.backupsDir);
+  const version = fs.existsSync(paths.asarPath) ? getInstalledVersion(paths, fs.readFileSync(paths.asarPath)) : null;
+
+  switch (subcommand) {
+    case "list": {
+      if (backups.length === 0) {
+        console.log(`No backups in ${paths.backupsDir}`);
+        return;
+      }
+      for (const backup of backups) {
+        const mark = backup.codexVersion === version ? " (installed version)" : "";
+        const sizeMb = (backup.size / 1024 / 1024).toFixed(1);
+        console.log(`${backup.id}${mark}: ${backup.createdAt}, ${sizeMb} MiB, sha256 ${backup.headerSha256}`);
+      }
+      return;
+    }
+    case "prune": {
+      const targets =
+        ids.length > 0
+          ? ids.map((id) => {
+              const backup = backups.find((item) => item.id === id);
+              if (!backup) {
+                throw new Error(`Unknown backup: ${id}`);
+              }
+              return backup;
+            })
+          : backups.filter((backup) => backup.codexVersion !== version);
+      for (const backup of targets) {
+        removeBackup(backup);
+        console.log(`Removed ${backup.id}`);
+      }
+      console.log(`Pruned ${targets.length} backup(s), ${backups.length - targets.length} left.`);
+      return;
+    }
+    default:
+      throw new Error(`Unknown backups subcommand: ${subcommand} (expected list or prune)`);
+  }
+}
+
+function describeVariants(variants) {
+  return Object.entries(variants)
+    .map(([type, variant]) => `${variant.name} (${type})`)
+    .join(" / ");
+}
+
+function commandThemes() {
+  for (const name of listBuiltinThemes()) {
+    const theme = loadTheme(name);
+    const variants = Object.entries(theme.variants).map(([type, spec]) => `, ${type} variant: ${spec}`);
+    console.log(`${name}${name === DEFAULT_THEME ? " (default)" : ""}: ${theme.name}, ${theme.type}${variants.join("")}`);
+  }
+}
+
+function commandCss(themeSpec, outPath) {
+  const css = buildThemeVariantsCss(resolveThemeVariants(loadTheme(themeSpec)));
+  if (!outPath) {
+    process.stdout.write(css);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+  fs.writeFileSync(outPath, css);
+  console.log(`Theme CSS written to ${outPath}`);
+}
+
+function commandImport(sourcePath, outPath) {
+  if (!sourcePath) {
+    throw new Error("import requires a source file (.icls, .theme.json or a VS Code theme)");
+  }
+  const theme = loadTheme(sourcePath);
+  const json = serializeTheme(theme);
 
-  fs.writeFileSync(paths.tempPath, backupAsar);
-  fs.renameSync(paths.tempPath, paths.asarPath);
-  if (fs.existsSync(paths.infoPlistBackupPath)) {
-    fs.copyFileSync(paths.infoPlistBackupPath, paths.infoPlistPath);
+  if (!outPath) {
+    process.stdout.write(json);
+    return;
+  }
+
+  fs.writeFileSync(outPath, json);
+  console.log(`Theme "${theme.name}" (${theme.type}) written to ${outPath}`);
+}
+
+function commandRecipes(paths) {
+  let version = null;
+  if (fs.existsSync(paths.infoPlistPath)) {
+    version = getInfoPlistVersion(paths.infoPlistPath);
+  }
+  const recipes = loadRecipes();
+  const applicable = new Set(selectRecipes(recipes, version).map((recipe) => recipe.source));
+
+  console.log(`codex-version: ${version || "unknown"}`);
+  console.log(`user-recipes: ${getUserRecipesDir()}`);
+  for (const recipe of recipes) {
+    const versions = [].concat(recipe.codexVersions).join(" || ");
+    const mark = applicable.has(recipe.source) ? "*" : " ";
+    console.log(`${mark} ${recipe.id} [${recipe.origin}] codex ${versions}: ${recipe.source}`);
+  }
+}
+
+function formatAsarEntry(item) {
+  if (item.type === "directory") {
+    return `d ${"".padStart(10)} -- ${"-".padEnd(19)} ${item.path}`;
+  }
+  if (item.type === "link") {
+    return `l ${"".padStart(10)} -- ${"-".padEnd(19)} ${item.path} -> ${item.entry.link}`;
+  }
+  const { entry } = item;
+  const size = String(entry.size === undefined ? "?" : entry.size).padStart(10);
+  const flags = `${entry.unpacked === true ? "u" : "-"}${entry.executable === true ? "x" : "-"}`;
+  const integrity = entry.integrity && entry.integrity.hash ? `sha256:${entry.integrity.hash.slice(0, 12)}` : "-";
+  return `f ${size} ${flags} ${integrity.padEnd(19)} ${item.path}`;
+}
+
+function commandAsar(paths, args, asarPath, outPath) {
+  const [subcommand, target] = args;
+  const sourcePath = asarPath || paths.asarPath;
+
+  if (subcommand === "pack") {
+    if (!target || !outPath) {
+      throw new Error("Usage: asar pack <dir> --out <file.asar>");
+    }
+    ensureExists(target, "Directory");
+    const packed = packDirectory(target);
+    fs.writeFileSync(outPath, packed);
+    console.log(`Packed ${target} into ${outPath}`);
+    console.log(`header-sha256: ${getAsarHeaderHash(packed)}`);
+    return;
+  }
+
+  ensureExists(sourcePath, "asar archive");
+  const asarBuffer = fs.readFileSync(sourcePath);
+  const { header, dataOffset } = parseAsar(asarBuffer);
+  const unpackedDir = `${sourcePath}.unpacked`;
+
+  switch (subcommand) {
+    case "ls": {
+      const entries = listEntries(header);
+      const count = (type) => entries.filter((item) => item.type === type).length;
+      console.log(`asar: ${sourcePath}`);
+      console.log(`header-sha256: ${getAsarHeaderHash(asarBuffer)}`);
+      console.log(`entries: ${count("file")} files, ${count("directory")} directories, ${count("link")} links`);
+      for (const item of entries) {
+        console.log(formatAsarEntry(item));
+      }
+      const unpacked = checkUnpacked(header, unpackedDir);
+      if (unpacked.length > 0) {
+        const { problems, summary } = summarizeUnpacked(unpacked);
+        console.log(`unpacked (${unpackedDir}): ${summary}`);
+        for (const problem of problems) {
+          console.log(`  ${problem.status}: ${problem.path}`);
+        }
+      }
+      return;
+    }
+    case "cat": {
+      if (!target) {
+        throw new Error("Usage: asar cat <path-inside-asar>");
+      }
+      const resolved = resolveEntry(header, target);
+      if (!resolved.entry || resolved.entry.files) {
+        throw new Error(`File not found in asar: ${target}`);
+      }
+      if (resolved.entry.unpacked === true) {
+        const unpackedPath = path.join(unpackedDir, resolved.path);
+        ensureExists(unpackedPath, "Unpacked file");
+        process.stdout.write(fs.readFileSync(unpackedPath));
+        return;
+      }
+      process.stdout.write(readEntry(asarBuffer, dataOffset, resolved.path, resolved.entry));
+      return;
+    }
+    case "extract": {
+      if (!target) {
+        throw new Error("Usage: asar extract <dir>");
+      }
+      const { written, skipped } = extractAsar(asarBuffer, target, unpackedDir);
+      console.log(`Extracted ${written} files into ${target}`);
+      if (skipped.length > 0) {
+        console.log(`Skipped ${skipped.length} unpacked files missing from ${unpackedDir}`);
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown asar subcommand: ${subcommand || "(none)"} (expected ls, cat, extract or pack)`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function watchLog(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function readAppSignature(paths) {
+  try {
+    const asar = fs.statSync(paths.asarPath);
+    const plist = fs.statSync(paths.infoPlistPath);
+    return `${asar.ino}:${asar.size}:${asar.mtimeMs}|${plist.ino}:${plist.size}:${plist.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+async function waitForSettle(paths) {
+  let signature = readAppSignature(paths);
+  let stableSince = Date.now();
+  while (!signature || Date.now() - stableSince < WATCH_SETTLE_MS) {
+    await sleep(WATCH_SETTLE_POLL_MS);
+    const next = readAppSignature(paths);
+    if (next !== signature) {
+      signature = next;
+      stableSince = Date.now();
+    }
+  }
+  return signature;
+}
+
+function reapplyPatch(paths, codeSign, themeSpec) {
+  const asarBuffer = fs.readFileSync(paths.asarPath);
+  const version = getInstalledVersion(paths, asarBuffer);
+  if (asarBuffer.includes(PATCH_MARKER)) {
+    if (getInfoPlistAsarHash(paths.infoPlistPath) === getAsarHeaderHash(asarBuffer)) {
+      watchLog(`Codex ${version || "(unknown version)"} is patched, nothing to do.`);
+      return;
+    }
+    watchLog("Patched app.asar has a stale Info.plist hash; fixing.");
   } else {
-    console.warn(`Info.plist backup not found (${paths.infoPlistBackupPath}), keeping current Info.plist.`);
+    watchLog(`Unpatched app.asar detected (Codex ${version || "unknown version"}); re-applying the theme.`);
+  }
+  withLock(paths, "watch", () => commandPatch(paths, codeSign, themeSpec));
+}
+
+async function commandWatchLoop(paths, codeSign, themeSpec, intervalSeconds) {
+  loadTheme(themeSpec);
+  watchLog(`Watching ${paths.asarPath} every ${intervalSeconds}s`);
+
+  let handled = null;
+  let failures = 0;
+  let retryAt = 0;
+
+  for (;;) {
+    const signature = readAppSignature(paths);
+    const changed = signature !== null && signature !== handled;
+    const retryDue = signature !== null && retryAt > 0 && Date.now() >= retryAt;
+
+    if (changed || retryDue) {
+      if (changed && handled !== null) {
+        watchLog("app.asar or Info.plist changed; waiting for the update to finish writing.");
+        failures = 0;
+      }
+      const settled = await waitForSettle(paths);
+      try {
+        reapplyPatch(paths, codeSign, themeSpec);
+        failures = 0;
+        retryAt = 0;
+        handled = readAppSignature(paths);
+      } catch (error) {
+        failures += 1;
+        const delay = Math.min(WATCH_RETRY_BASE_MS * 2 ** (failures - 1), WATCH_RETRY_MAX_MS);
+        retryAt = Date.now() + delay;
+        handled = settled;
+        watchLog(`Re-patch failed (attempt ${failures}): ${error.message}`);
+        watchLog(`Next attempt in ${Math.round(delay / 1000)}s or on the next app change.`);
+      }
+    }
+
+    await sleep(intervalSeconds * 1000);
+  }
+}
+
+function getWatchArguments(appPath, themeSpec, codeSign, intervalSeconds) {
+  const theme = fs.existsSync(themeSpec) ? path.resolve(themeSpec) : themeSpec;
+  const args = [process.execPath, path.resolve(__filename), "watch", "--app", path.resolve(appPath), "--theme", theme];
+  if (intervalSeconds !== WATCH_INTERVAL_SECONDS) {
+    args.push("--interval", String(intervalSeconds));
   }
+  if (!codeSign) {
+    args.push("--no-codesign");
+  }
+  return args;
+}
 
-  console.log("Original app.asar restored from backup.");
+async function commandWatch(paths, args, options) {
+  const { codeSign, theme, interval, outPath } = options;
+  const [subcommand] = args;
+  if (!subcommand) {
+    ensureExists(paths.asarPath, "app.asar");
+    await commandWatchLoop(paths, codeSign, theme, interval);
+    return;
+  }
 
-  if (codeSign) {
-    tryCodeSign(paths.appPath);
+  const programArguments = getWatchArguments(paths.appPath, theme, codeSign, interval);
+  let content;
+  let loadHint;
+  switch (subcommand) {
+    case "launchd":
+      content = buildLaunchdAgent(programArguments);
+      loadHint = `launchctl bootstrap gui/$(id -u) ${path.resolve(outPath || getServiceInstallPath("launchd"))}`;
+      break;
+    case "systemd":
+      content = buildSystemdUnit(programArguments);
+      loadHint = "systemctl --user daemon-reload && systemctl --user enable --now codex-darcula-watch.service";
+      break;
+    default:
+      throw new Error(`Unknown watch subcommand: ${subcommand} (expected launchd or systemd)`);
   }
+
+  if (!outPath) {
+    process.stdout.write(content);
+    console.warn(`Save it as ${getServiceInstallPath(subcommand)} (or pass --out), then: ${loadHint}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+  fs.writeFileSync(outPath, content);
+  console.log(`Wrote ${outPath}${subcommand === "launchd" ? ` (label ${LAUNCHD_LABEL})` : ""}`);
+  console.log(`Load it with: ${loadHint}`);
 }
 
 function printUsage() {
   console.log("Usage:");
   console.log("  node codex-darcula-theme.js status [--app /Applications/Codex.app]");
-  console.log("  node codex-darcula-theme.js patch  [--app /Applications/Codex.app] [--no-codesign]");
-  console.log("  node codex-darcula-theme.js restore [--app /Applications/Codex.app] [--no-codesign]");
+  console.log("  node codex-darcula-theme.js verify [--app /Applications/Codex.app]");
+  console.log(
+    "  node codex-darcula-theme.js patch  [--app /Applications/Codex.app] [--theme <name|path>] [--no-codesign]",
+  );
+  console.log("  node codex-darcula-theme.js patch --dry-run [--app ...] [--theme ...]");
+  console.log("  node codex-darcula-theme.js patch --out <file.asar> [--plist-out <Info.plist>] [--app ...]");
+  console.log("  node codex-darcula-theme.js restore [--app /Applications/Codex.app] [--no-codesign] [--force]");
+  console.log("  node codex-darcula-theme.js backups [list|prune [<id>...]] [--app /Applications/Codex.app]");
+  console.log("  node codex-darcula-theme.js watch [--app ...] [--theme ...] [--interval <seconds>] [--no-codesign]");
+  console.log("  node codex-darcula-theme.js watch launchd|systemd [--app ...] [--theme ...] [--out <file>]");
+  console.log("  node codex-darcula-theme.js themes");
+  console.log("  node codex-darcula-theme.js css [--theme <name|path>] [--out ~/.config/codex-darcula/theme.css]");
+  console.log("  node codex-darcula-theme.js recipes [--app /Applications/Codex.app]");
+  console.log("  node codex-darcula-theme.js asar ls|cat <file>|extract <dir> [--app ...|--asar <file.asar>]");
+  console.log("  node codex-darcula-theme.js asar pack <dir> --out <file.asar>");
+  console.log("  node codex-darcula-theme.js import <scheme.icls|ui.theme.json|vscode-theme.json> [--out theme.json]");
 }
 
-function main() {
-  const { command, appPath, codeSign } = parseArgs(process.argv);
+async function main() {
+  const options = parseArgs(process.argv);
+  const { command, appPath, codeSign, theme, outPath, plistOutPath, asarPath, dryRun, force, args } = options;
   const paths = getPaths(appPath);
 
   switch (command) {
     case "status":
       commandStatus(paths);
       break;
+    case "verify":
+      commandVerify(paths);
+      break;
     case "patch":
-      commandPatch(paths, codeSign);
+      if (dryRun || outPath) {
+        commandPatch(paths, codeSign, theme, { dryRun, outPath, plistOutPath });
+      } else {
+        withLock(paths, "patch", () => commandPatch(paths, codeSign, theme));
+      }
       break;
     case "restore":
-      commandRestore(paths, codeSign);
+      withLock(paths, "restore", () => commandRestore(paths, codeSign, force));
+      break;
+    case "watch":
+      await commandWatch(paths, args, options);
+      break;
+    case "backups":
+      withLock(paths, "backups", () => commandBackups(paths, args));
+      break;
+    case "themes":
+      commandThemes();
+      break;
+    case "css":
+      commandCss(theme, outPath);
+      break;
+    case "recipes":
+      commandRecipes(paths);
+      break;
+    case "asar":
+      commandAsar(paths, args, asarPath, outPath);
+      break;
+    case "import":
+      commandImport(args[0], outPath);
       break;
     default:
       printUsage();
@@ -504,9 +1171,7 @@ function main() {
   }
 }
 
-try {
-  main();
-} catch (error) {
+main().catch((error) => {
   console.error(`ERROR: ${error.message}`);
   process.exitCode = 1;
-}
+});
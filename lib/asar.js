@@ -0,0 +1,442 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const INTEGRITY_BLOCK_SIZE = 4 * 1024 * 1024;
+const MAX_LINK_DEPTH = 32;
+const UNSAFE_NAME_PATTERN = /[\\/\0]/;
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function getAsarHeaderHash(asarBuffer) {
+  if (asarBuffer.length < 20) {
+    throw new Error("Invalid asar: too small");
+  }
+  const headerJsonLength = asarBuffer.readUInt32LE(12);
+  const headerStart = 16;
+  const headerEnd = headerStart + headerJsonLength;
+  if (headerEnd > asarBuffer.length) {
+    throw new Error("Invalid asar: header length exceeds file size");
+  }
+  return sha256(asarBuffer.slice(headerStart, headerEnd));
+}
+
+function parseAsar(buffer) {
+  if (buffer.length < 20) {
+    throw new Error("Invalid asar: too small");
+  }
+
+  const headerPickleSize = buffer.readUInt32LE(4);
+  const headerJsonLength = buffer.readUInt32LE(12);
+  const headerStart = 16;
+  const headerEnd = headerStart + headerJsonLength;
+  const dataOffset = 8 + headerPickleSize;
+
+  if (headerEnd > buffer.length || dataOffset > buffer.length || headerEnd > dataOffset) {
+    throw new Error("Invalid asar: header length exceeds file size");
+  }
+
+  const headerJson = buffer.slice(headerStart, headerEnd).toString("utf8");
+  let header;
+  try {
+    header = JSON.parse(headerJson);
+  } catch (error) {
+    throw new Error(`Invalid asar: header is not valid JSON (${error.message})`);
+  }
+  validateHeader(header, buffer.length - dataOffset);
+
+  return {
+    header,
+    headerJsonLength,
+    dataOffset,
+  };
+}
+
+function resolveLinkTarget(relPath, link) {
+  const normalized = path.posix.normalize(String(link).replace(/\\/g, "/"));
+  if (!link || path.posix.isAbsolute(normalized) || normalized === ".." || normalized.startsWith("../")) {
+    throw new Error(`Invalid asar: link ${relPath} points outside the archive (${link})`);
+  }
+  return normalized;
+}
+
+function validateHeader(header, dataLength) {
+  const ranges = [];
+
+  function visit(node, prefix) {
+    if (!node || typeof node.files !== "object" || node.files === null || Array.isArray(node.files)) {
+      throw new Error(`Invalid asar: malformed directory ${prefix || "/"}`);
+    }
+
+    for (const [name, entry] of Object.entries(node.files)) {
+      const relPath = prefix ? `${prefix}/${name}` : name;
+      if (!name || name === "." || name === ".." || UNSAFE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid asar: unsafe entry name ${JSON.stringify(relPath)}`);
+      }
+      if (!entry || typeof entry !== "object") {
+        throw new Error(`Invalid asar: malformed entry ${relPath}`);
+      }
+      if (entry.files) {
+        visit(entry, relPath);
+        continue;
+      }
+      if (entry.link !== undefined) {
+        resolveLinkTarget(relPath, entry.link);
+        continue;
+      }
+
+      const size = Number(entry.size);
+      if (!Number.isSafeInteger(size) || size < 0) {
+        throw new Error(`Invalid asar: bad size for ${relPath}`);
+      }
+      if (entry.unpacked === true) {
+        continue;
+      }
+
+      const offset = Number(entry.offset);
+      if (!Number.isSafeInteger(offset) || offset < 0 || offset + size > dataLength) {
+        throw new Error(`Invalid asar: ${relPath} points outside the archive data`);
+      }
+      if (size > 0) {
+        ranges.push({ relPath, start: offset, end: offset + size });
+      }
+    }
+  }
+
+  visit(header, "");
+
+  ranges.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < ranges.length; i += 1) {
+    if (ranges[i].start < ranges[i - 1].end) {
+      throw new Error(`Invalid asar: ${ranges[i - 1].relPath} and ${ranges[i].relPath} overlap`);
+    }
+  }
+}
+
+function walkLeafEntries(node, prefix, visitor) {
+  const files = node && node.files ? node.files : {};
+  for (const [name, entry] of Object.entries(files)) {
+    const rel = prefix ? `${prefix}/${name}` : name;
+    if (entry && entry.files) {
+      walkLeafEntries(entry, rel, visitor);
+    } else {
+      visitor(rel, entry);
+    }
+  }
+}
+
+function readEntry(asarBuffer, dataOffset, relPath, entry) {
+  const offset = Number(entry.offset);
+  const size = Number(entry.size);
+  const start = dataOffset + offset;
+  const end = start + size;
+
+  if (!Number.isFinite(offset) || !Number.isFinite(size) || start < 0 || end > asarBuffer.length) {
+    throw new Error(`Invalid entry offsets for ${relPath}`);
+  }
+
+  return asarBuffer.slice(start, end);
+}
+
+function extractFileMap(asarBuffer, header, dataOffset) {
+  const map = new Map();
+
+  walkLeafEntries(header, "", (relPath, entry) => {
+    if (entry.unpacked === true || entry.link !== undefined) {
+      return;
+    }
+    map.set(relPath, readEntry(asarBuffer, dataOffset, relPath, entry));
+  });
+
+  return map;
+}
+
+function findEntry(header, relPath) {
+  let node = header;
+  for (const part of relPath.split("/").filter(Boolean)) {
+    if (!node || !node.files || !Object.prototype.hasOwnProperty.call(node.files, part)) {
+      return null;
+    }
+    node = node.files[part];
+  }
+  return node;
+}
+
+function resolveEntry(header, relPath) {
+  let current = relPath;
+  for (let depth = 0; depth < MAX_LINK_DEPTH; depth += 1) {
+    const entry = findEntry(header, current);
+    if (!entry || entry.link === undefined) {
+      return { path: current, entry };
+    }
+    current = resolveLinkTarget(current, entry.link);
+  }
+  throw new Error(`Too many levels of links at ${relPath}`);
+}
+
+function listEntries(header) {
+  const entries = [];
+
+  function visit(node, prefix) {
+    for (const [name, entry] of Object.entries(node.files || {})) {
+      const relPath = prefix ? `${prefix}/${name}` : name;
+      if (entry && entry.files) {
+        entries.push({ path: relPath, type: "directory", entry });
+        visit(entry, relPath);
+      } else if (entry && entry.link !== undefined) {
+        entries.push({ path: relPath, type: "link", entry });
+      } else {
+        entries.push({ path: relPath, type: "file", entry });
+      }
+    }
+  }
+
+  visit(header, "");
+  return entries;
+}
+
+function computeEntryIntegrity(fileBuffer) {
+  const blocks = [];
+  for (let offset = 0; offset < fileBuffer.length; offset += INTEGRITY_BLOCK_SIZE) {
+    const chunk = fileBuffer.slice(offset, Math.min(offset + INTEGRITY_BLOCK_SIZE, fileBuffer.length));
+    blocks.push(sha256(chunk));
+  }
+  return {
+    algorithm: "SHA256",
+    hash: sha256(fileBuffer),
+    blockSize: INTEGRITY_BLOCK_SIZE,
+    blocks,
+  };
+}
+
+function buildAsar(header, fileMap) {
+  const chunks = [];
+  let runningOffset = 0;
+
+  function rebuildNode(node, prefix) {
+    const out = { ...node };
+    if (!node.files) {
+      return out;
+    }
+
+    out.files = {};
+
+    for (const [name, entry] of Object.entries(node.files)) {
+      const relPath = prefix ? `${prefix}/${name}` : name;
+
+      if (entry && entry.files) {
+        out.files[name] = rebuildNode(entry, relPath);
+        continue;
+      }
+
+      if (entry.unpacked === true || entry.link !== undefined) {
+        out.files[name] = { ...entry };
+        continue;
+      }
+
+      const fileBuffer = fileMap.get(relPath);
+      if (!fileBuffer) {
+        throw new Error(`Missing data for file: ${relPath}`);
+      }
+
+      const rebuiltEntry = { ...entry };
+      rebuiltEntry.offset = String(runningOffset);
+      rebuiltEntry.size = fileBuffer.length;
+      rebuiltEntry.integrity = computeEntryIntegrity(fileBuffer);
+
+      out.files[name] = rebuiltEntry;
+      chunks.push(fileBuffer);
+      runningOffset += fileBuffer.length;
+    }
+
+    return out;
+  }
+
+  const rebuiltHeader = rebuildNode(header, "");
+  const headerJsonBuffer = Buffer.from(JSON.stringify(rebuiltHeader), "utf8");
+  const padding = Buffer.alloc((4 - (headerJsonBuffer.length % 4)) % 4);
+  const alignedLength = headerJsonBuffer.length + padding.length;
+
+  const prelude = Buffer.alloc(16);
+  prelude.writeUInt32LE(4, 0);
+  prelude.writeUInt32LE(alignedLength + 8, 4);
+  prelude.writeUInt32LE(alignedLength + 4, 8);
+  prelude.writeUInt32LE(headerJsonBuffer.length, 12);
+
+  return Buffer.concat([prelude, headerJsonBuffer, padding, ...chunks]);
+}
+
+function checkUnpacked(header, unpackedDir) {
+  const results = [];
+
+  walkLeafEntries(header, "", (relPath, entry) => {
+    if (entry.unpacked !== true || entry.link !== undefined) {
+      return;
+    }
+
+    const filePath = path.join(unpackedDir, relPath);
+    let stat;
+    try {
+      stat = fs.lstatSync(filePath);
+    } catch {
+      results.push({ path: relPath, status: "missing" });
+      return;
+    }
+    if (!stat.isFile()) {
+      results.push({ path: relPath, status: "not-a-file" });
+      return;
+    }
+    if (entry.size !== undefined && stat.size !== Number(entry.size)) {
+      results.push({ path: relPath, status: "size-mismatch" });
+      return;
+    }
+    if (entry.integrity && entry.integrity.hash && sha256(fs.readFileSync(filePath)) !== entry.integrity.hash) {
+      results.push({ path: relPath, status: "integrity-mismatch" });
+      return;
+    }
+    if (entry.executable === true && process.platform !== "win32" && (stat.mode & 0o111) === 0) {
+      results.push({ path: relPath, status: "not-executable" });
+      return;
+    }
+    results.push({ path: relPath, status: "ok" });
+  });
+
+  return results;
+}
+
+function checkEntryIntegrity(fileBuffer, integrity) {
+  if (!integrity || typeof integrity !== "object") {
+    return { status: "no-integrity" };
+  }
+  if (String(integrity.algorithm).toUpperCase() !== "SHA256") {
+    return { status: "unsupported-algorithm", detail: String(integrity.algorithm) };
+  }
+  const blockSize = Number(integrity.blockSize);
+  const blocks = Array.isArray(integrity.blocks) ? integrity.blocks : [];
+  if (!Number.isInteger(blockSize) || blockSize <= 0) {
+    return { status: "bad-block-size", detail: String(integrity.blockSize) };
+  }
+  const expectedCount = fileBuffer.length === 0 ? blocks.length : Math.ceil(fileBuffer.length / blockSize);
+  const badBlocks = [];
+  for (let index = 0; index < Math.max(expectedCount, blocks.length); index += 1) {
+    const chunk = fileBuffer.slice(index * blockSize, Math.min((index + 1) * blockSize, fileBuffer.length));
+    if (index >= expectedCount || blocks[index] !== sha256(chunk)) {
+      badBlocks.push(index);
+    }
+  }
+
+  const blockDetail = badBlocks.length > 0 ? `bad blocks ${badBlocks.join(", ")} of ${expectedCount}` : undefined;
+  if (sha256(fileBuffer) !== integrity.hash) {
+    return { status: "hash-mismatch", detail: blockDetail };
+  }
+  if (badBlocks.length > 0) {
+    return { status: "block-mismatch", detail: blockDetail };
+  }
+  return { status: "ok" };
+}
+
+function verifyIntegrity(asarBuffer) {
+  const { header, dataOffset } = parseAsar(asarBuffer);
+  const results = [];
+
+  walkLeafEntries(header, "", (relPath, entry) => {
+    if (entry.unpacked === true || entry.link !== undefined) {
+      return;
+    }
+    const fileBuffer = readEntry(asarBuffer, dataOffset, relPath, entry);
+    results.push({ path: relPath, ...checkEntryIntegrity(fileBuffer, entry.integrity) });
+  });
+
+  return results;
+}
+
+function extractAsar(asarBuffer, destDir, unpackedDir) {
+  const { header, dataOffset } = parseAsar(asarBuffer);
+  const skipped = [];
+  let written = 0;
+
+  for (const item of listEntries(header)) {
+    const target = path.join(destDir, item.path);
+    if (item.type === "directory") {
+      fs.mkdirSync(target, { recursive: true });
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    if (item.type === "link") {
+      const linkTarget = path.join(destDir, resolveLinkTarget(item.path, item.entry.link));
+      fs.rmSync(target, { force: true });
+      fs.symlinkSync(path.relative(path.dirname(target), linkTarget), target);
+      written += 1;
+      continue;
+    }
+
+    if (item.entry.unpacked === true) {
+      const source = unpackedDir ? path.join(unpackedDir, item.path) : null;
+      if (!source || !fs.existsSync(source)) {
+        skipped.push(item.path);
+        continue;
+      }
+      fs.copyFileSync(source, target);
+    } else {
+      fs.writeFileSync(target, readEntry(asarBuffer, dataOffset, item.path, item.entry));
+    }
+    if (item.entry.executable === true) {
+      fs.chmodSync(target, 0o755);
+    }
+    written += 1;
+  }
+
+  return { written, skipped };
+}
+
+function packDirectory(srcDir) {
+  const root = path.resolve(srcDir);
+  const fileMap = new Map();
+
+  function visit(dir, prefix) {
+    const node = { files: {} };
+    const names = fs.readdirSync(dir).sort();
+    for (const name of names) {
+      const fullPath = path.join(dir, name);
+      const relPath = prefix ? `${prefix}/${name}` : name;
+      const stat = fs.lstatSync(fullPath);
+      if (stat.isSymbolicLink()) {
+        const resolved = path.resolve(path.dirname(fullPath), fs.readlinkSync(fullPath));
+        const link = path.relative(root, resolved).split(path.sep).join("/");
+        node.files[name] = { link: resolveLinkTarget(relPath, link) };
+      } else if (stat.isDirectory()) {
+        node.files[name] = visit(fullPath, relPath);
+      } else if (stat.isFile()) {
+        node.files[name] = process.platform !== "win32" && stat.mode & 0o100 ? { executable: true } : {};
+        fileMap.set(relPath, fs.readFileSync(fullPath));
+      }
+    }
+    return node;
+  }
+
+  return buildAsar(visit(root, ""), fileMap);
+}
+
+module.exports = {
+  INTEGRITY_BLOCK_SIZE,
+  sha256,
+  getAsarHeaderHash,
+  parseAsar,
+  validateHeader,
+  walkLeafEntries,
+  readEntry,
+  extractFileMap,
+  findEntry,
+  resolveEntry,
+  listEntries,
+  checkUnpacked,
+  verifyIntegrity,
+  computeEntryIntegrity,
+  buildAsar,
+  extractAsar,
+  packDirectory,
+};
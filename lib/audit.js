@@ -0,0 +1,155 @@
+const { flatten, parseColor, toHex } = require("./color");
+
+const DEFAULT_TOLERANCE = 8;
+
+// Page-side helpers shared by the audit and contrast expressions: canvas-based color normalization
+// (so oklch()/color() values compare like rgb()) and a readable selector suggestion for an element.
+const PAGE_HELPERS = `
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const rgbaCache = new Map();
+    const toRgbaParts = (value) => {
+      if (!rgbaCache.has(value)) {
+        ctx.clearRect(0, 0, 1, 1);
+        ctx.fillStyle = '#000';
+        ctx.fillStyle = value;
+        ctx.fillRect(0, 0, 1, 1);
+        const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+        rgbaCache.set(value, a === 0 ? null : [r, g, b, a / 255]);
+      }
+      return rgbaCache.get(value);
+    };
+    const formatRgba = ([r, g, b, a]) => 'rgba(' + r + ', ' + g + ', ' + b + ', ' + a.toFixed(3) + ')';
+    const toRgba = (value) => {
+      const parts = toRgbaParts(value);
+      return parts ? formatRgba(parts) : null;
+    };
+    const PREFIXES = { 'background-color': 'bg-', color: 'text-', 'border-color': 'border-' };
+    const stableClass = (name) => /^[a-zA-Z_][\\w-]*$/.test(name) && !/[0-9a-f]{6,}|__\\w{5,}$/.test(name);
+    const selectorFor = (el, property) => {
+      const tag = el.localName;
+      if (el.id && /^[a-zA-Z][\\w-]*$/.test(el.id) && !/\\d{3,}/.test(el.id)) return '#' + CSS.escape(el.id);
+      for (const attr of ['data-testid', 'data-test-id', 'data-panel', 'data-sidebar', 'role', 'aria-label']) {
+        const value = el.getAttribute(attr);
+        if (value !== null && value.length <= 40) return tag + '[' + attr + '="' + value.replace(/"/g, '\\\\"') + '"]';
+      }
+      const classes = Array.from(el.classList).filter(stableClass);
+      const prefix = PREFIXES[property];
+      const picked = [...classes.filter((name) => name.startsWith(prefix)), ...classes].filter(
+        (name, index, list) => list.indexOf(name) === index,
+      );
+      return tag + picked.slice(0, 2).map((name) => '.' + CSS.escape(name)).join('');
+    };
+    const isVisible = (el, rect) =>
+      rect.width > 0 &&
+      rect.height > 0 &&
+      (!el.checkVisibility || el.checkVisibility({ visibilityProperty: true, opacityProperty: true }));
+`;
+
+// Runs in the page: groups visible elements by computed color, property and a suggested selector.
+function buildAuditExpression(styleId) {
+  return `(() => {${PAGE_HELPERS}
+    const hasOwnText = (el) =>
+      Array.from(el.childNodes).some((node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    const groups = new Map();
+    for (const el of document.querySelectorAll('body *')) {
+      if (el.id === ${JSON.stringify(styleId)}) continue;
+      const rect = el.getBoundingClientRect();
+      if (!isVisible(el, rect)) continue;
+      const style = getComputedStyle(el);
+      const entries = [['background-color', style.backgroundColor]];
+      if (hasOwnText(el)) entries.push(['color', style.color]);
+      const side = ['Top', 'Right', 'Bottom', 'Left'].find(
+        (name) => parseFloat(style['border' + name + 'Width']) > 0 && style['border' + name + 'Style'] !== 'none',
+      );
+      if (side) entries.push(['border-color', style['border' + side + 'Color']]);
+      for (const [property, value] of entries) {
+        const color = toRgba(value);
+        if (!color) continue;
+        const selector = selectorFor(el, property);
+        const key = property + '|' + color + '|' + selector;
+        const group = groups.get(key);
+        if (group) {
+          group.count += 1;
+          continue;
+        }
+        groups.set(key, {
+          property,
+          color,
+          selector,
+          count: 1,
+          clip: {
+            x: Math.round(rect.left + scrollX),
+            y: Math.round(rect.top + scrollY),
+            width: Math.ceil(rect.width),
+            height: Math.ceil(rect.height),
+          },
+        });
+      }
+    }
+    return Array.from(groups.values());
+  })()`;
+}
+
+function getPaletteEntries(theme) {
+  const background = theme.colors.background;
+  return [
+    ...Object.entries(theme.colors),
+    ...Object.entries(theme.syntax || {}).map(([token, value]) => [`syntax.${token}`, value]),
+  ].map(([token, value]) => ({ token, hex: value, color: parseColor(flatten(value, background)) }));
+}
+
+function colorDistance(first, second) {
+  return Math.sqrt((first.r - second.r) ** 2 + (first.g - second.g) ** 2 + (first.b - second.b) ** 2);
+}
+
+function findPaletteLeaks(groups, theme, tolerance = DEFAULT_TOLERANCE) {
+  const palette = getPaletteEntries(theme);
+  return groups
+    .map((group) => {
+      const rendered = parseColor(flatten(group.color, theme.colors.background));
+      const nearest = palette
+        .map((entry) => ({ ...entry, distance: colorDistance(rendered, entry.color) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      return {
+        property: group.property,
+        color: toHex(parseColor(group.color)),
+        selector: group.selector,
+        count: group.count,
+        clip: group.clip,
+        nearest: { token: nearest.token, color: nearest.hex, distance: Math.round(nearest.distance) },
+      };
+    })
+    .filter((finding) => finding.nearest.distance > tolerance)
+    .sort((a, b) => b.count - a.count || a.selector.localeCompare(b.selector));
+}
+
+function formatAuditReport(reports) {
+  const lines = [];
+  for (const report of reports) {
+    const elements = report.findings.reduce((sum, finding) => sum + finding.count, 0);
+    lines.push(`${report.title}: ${report.findings.length} unthemed color(s) in ${elements} element(s)`);
+    for (const finding of report.findings) {
+      const { x, y, width, height } = finding.clip;
+      const screenshot = finding.screenshot ? `, ${finding.screenshot}` : "";
+      lines.push(
+        `  ${finding.property.padEnd(16)} ${finding.color.padEnd(9)} x${String(finding.count).padEnd(4)} ` +
+          `${finding.selector}  (nearest ${finding.nearest.token} ${finding.nearest.color}, ` +
+          `clip ${x},${y} ${width}x${height}${screenshot})`,
+      );
+    }
+    if (report.omitted > 0) {
+      lines.push(`  ... ${report.omitted} more (raise --limit or use --json)`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  PAGE_HELPERS,
+  DEFAULT_TOLERANCE,
+  buildAuditExpression,
+  findPaletteLeaks,
+  formatAuditReport,
+};
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+
+const BACKUP_ASAR_NAME = "app.asar";
+const BACKUP_PLIST_NAME = "Info.plist";
+const BACKUP_INFO_NAME = "backup.json";
+
+function getBackupId(version, headerHash) {
+  const safeVersion = String(version || "unknown").replace(/[^\w.+-]/g, "_");
+  return `${safeVersion}-${headerHash.slice(0, 12)}`;
+}
+
+function describeBackup(dir, id, info) {
+  const backupDir = path.join(dir, id);
+  return {
+    ...info,
+    id,
+    dir: backupDir,
+    asarPath: path.join(backupDir, BACKUP_ASAR_NAME),
+    infoPlistPath: path.join(backupDir, BACKUP_PLIST_NAME),
+  };
+}
+
+function listBackups(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .map((id) => {
+      const infoPath = path.join(dir, id, BACKUP_INFO_NAME);
+      if (!fs.existsSync(infoPath) || !fs.existsSync(path.join(dir, id, BACKUP_ASAR_NAME))) {
+        return null;
+      }
+      try {
+        return describeBackup(dir, id, JSON.parse(fs.readFileSync(infoPath, "utf8")));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+function findBackup(dir, version, headerHash) {
+  return listBackups(dir).find((backup) => backup.codexVersion === version && backup.headerSha256 === headerHash) || null;
+}
+
+function createBackup(dir, { asarBuffer, infoPlistPath, version, headerHash, plistHash }) {
+  const id = getBackupId(version, headerHash);
+  const backup = describeBackup(dir, id, {
+    codexVersion: version,
+    headerSha256: headerHash,
+    plistSha256: plistHash,
+    size: asarBuffer.length,
+    createdAt: new Date().toISOString(),
+  });
+
+  fs.mkdirSync(backup.dir, { recursive: true });
+  fs.writeFileSync(backup.asarPath, asarBuffer);
+  fs.copyFileSync(infoPlistPath, backup.infoPlistPath);
+  const { codexVersion, headerSha256, plistSha256, size, createdAt } = backup;
+  fs.writeFileSync(
+    path.join(backup.dir, BACKUP_INFO_NAME),
+    JSON.stringify({ codexVersion, headerSha256, plistSha256, size, createdAt }, null, 2),
+  );
+  return backup;
+}
+
+function removeBackup(backup) {
+  fs.rmSync(backup.dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  getBackupId,
+  listBackups,
+  findBackup,
+  createBackup,
+  removeBackup,
+};
@@ -0,0 +1,116 @@
+const NAMED_COLORS = {
+  black: "#000000",
+  white: "#ffffff",
+  transparent: "#00000000",
+};
+
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+function parseColor(input) {
+  if (typeof input !== "string") {
+    return null;
+  }
+
+  const value = input.trim().toLowerCase();
+  if (NAMED_COLORS[value]) {
+    return parseColor(NAMED_COLORS[value]);
+  }
+
+  let match = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+  if (match) {
+    let hex = match[1];
+    if (hex.length <= 4) {
+      hex = hex
+        .split("")
+        .map((ch) => ch + ch)
+        .join("");
+    }
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+
+  match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/.exec(value);
+  if (match) {
+    let alpha = 1;
+    if (match[4] !== undefined) {
+      alpha = match[4].endsWith("%") ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+    }
+    return {
+      r: clampByte(Number(match[1])),
+      g: clampByte(Number(match[2])),
+      b: clampByte(Number(match[3])),
+      a: Math.max(0, Math.min(1, alpha)),
+    };
+  }
+
+  return null;
+}
+
+function toHex(color) {
+  const parts = [color.r, color.g, color.b].map((channel) => clampByte(channel).toString(16).padStart(2, "0"));
+  if (color.a !== undefined && color.a < 1) {
+    parts.push(clampByte(color.a * 255).toString(16).padStart(2, "0"));
+  }
+  return `#${parts.join("")}`;
+}
+
+function normalizeColor(input) {
+  const color = parseColor(input);
+  return color ? toHex(color) : null;
+}
+
+function mix(first, second, weight) {
+  const a = typeof first === "string" ? parseColor(first) : first;
+  const b = typeof second === "string" ? parseColor(second) : second;
+  if (!a || !b) {
+    throw new Error(`Cannot mix colors: ${first}, ${second}`);
+  }
+  return toHex({
+    r: a.r + (b.r - a.r) * weight,
+    g: a.g + (b.g - a.g) * weight,
+    b: a.b + (b.b - a.b) * weight,
+    a: 1,
+  });
+}
+
+function flatten(input, backdrop) {
+  const color = typeof input === "string" ? parseColor(input) : input;
+  if (!color) {
+    return null;
+  }
+  if (color.a >= 1 || !backdrop) {
+    return toHex({ ...color, a: 1 });
+  }
+  return mix(backdrop, { ...color, a: 1 }, color.a);
+}
+
+function relativeLuminance(input) {
+  const color = typeof input === "string" ? parseColor(input) : input;
+  const [r, g, b] = [color.r, color.g, color.b].map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(first, second) {
+  const a = relativeLuminance(first);
+  const b = relativeLuminance(second);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+module.exports = {
+  parseColor,
+  toHex,
+  normalizeColor,
+  mix,
+  flatten,
+  relativeLuminance,
+  contrastRatio,
+};
@@ -0,0 +1,32 @@
+const os = require("os");
+const path = require("path");
+
+function getConfigDir() {
+  if (process.env.CODEX_DARCULA_CONFIG_DIR) {
+    return path.resolve(process.env.CODEX_DARCULA_CONFIG_DIR);
+  }
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "codex-darcula");
+}
+
+function getUserRecipesDir() {
+  return path.join(getConfigDir(), "recipes");
+}
+
+function getBackupsDir() {
+  return path.join(getConfigDir(), "backups");
+}
+
+function getRuntimeThemePaths() {
+  return {
+    css: path.join(getConfigDir(), "theme.css"),
+    palette: path.join(getConfigDir(), "theme.json"),
+  };
+}
+
+module.exports = {
+  getConfigDir,
+  getUserRecipesDir,
+  getBackupsDir,
+  getRuntimeThemePaths,
+};
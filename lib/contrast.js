@@ -0,0 +1,208 @@
+const { contrastRatio, flatten, mix, parseColor, toHex } = require("./color");
+const { PAGE_HELPERS } = require("./audit");
+
+const CONTRAST_LEVELS = ["AA", "AAA"];
+const TEXT_THRESHOLDS = { AA: 4.5, AAA: 7 };
+const LARGE_TEXT_THRESHOLDS = { AA: 3, AAA: 4.5 };
+const UI_THRESHOLD = 3;
+
+// Foreground/background pairs rendered by buildThemeCss(): [foreground token, background token, kind, state].
+const PALETTE_PAIRS = [
+  ["foreground", "background", "text"],
+  ["foreground", "panel", "text"],
+  ["foreground", "hover", "text", "hover"],
+  ["foreground", "codeBackground", "text"],
+  ["accent", "background", "text"],
+  ["accent", "panel", "text"],
+  ["accentHover", "background", "text", "hover"],
+  ["selectionForeground", "selection", "text", "selection"],
+  ["controlBorder", "panel", "ui"],
+  ["controlBorder", "background", "ui"],
+  ["scrollbar", "scrollbarTrack", "ui"],
+  ["foreground", "diffAdded", "text", "diff"],
+  ["foreground", "diffRemoved", "text", "diff"],
+  ["foreground", "diffChanged", "text", "diff"],
+];
+
+function contrastLevel(ratio) {
+  if (ratio >= TEXT_THRESHOLDS.AAA) {
+    return "AAA";
+  }
+  if (ratio >= TEXT_THRESHOLDS.AA) {
+    return "AA";
+  }
+  return ratio >= LARGE_TEXT_THRESHOLDS.AA ? "AA large" : "fail";
+}
+
+function roundRatio(ratio) {
+  return Math.floor(ratio * 100) / 100;
+}
+
+function tokenColor(theme, token) {
+  return token.startsWith("syntax.") ? theme.syntax[token.slice("syntax.".length)] : theme.colors[token];
+}
+
+function suggestFix(foreground, background, required) {
+  let best = null;
+  for (const target of ["#ffffff", "#000000"]) {
+    if (contrastRatio(target, background) < required) {
+      continue;
+    }
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i += 1) {
+      const middle = (low + high) / 2;
+      if (contrastRatio(mix(foreground, target, middle), background) >= required) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    let weight = high;
+    let color = mix(foreground, target, weight);
+    while (contrastRatio(color, background) < required && weight < 1) {
+      weight = Math.min(1, weight + 0.01);
+      color = mix(foreground, target, weight);
+    }
+    if (!best || weight < best.weight) {
+      best = { color, weight };
+    }
+  }
+  return best ? { color: best.color, ratio: roundRatio(contrastRatio(best.color, background)) } : null;
+}
+
+function scorePair(foreground, background, required) {
+  const ratio = contrastRatio(foreground, background);
+  const passes = ratio >= required;
+  const fix = passes ? null : suggestFix(foreground, background, required);
+  return { ratio: roundRatio(ratio), required, passes, fix };
+}
+
+function scorePalette(theme, level = "AA") {
+  const pairs = [
+    ...PALETTE_PAIRS,
+    ...Object.keys(theme.syntax || {}).map((token) => [`syntax.${token}`, "codeBackground", "text"]),
+  ];
+  return pairs.map(([fg, bg, kind, state]) => {
+    const backdrop = flatten(tokenColor(theme, bg), theme.colors.background);
+    const foreground = flatten(tokenColor(theme, fg), backdrop);
+    const required = kind === "ui" ? UI_THRESHOLD : TEXT_THRESHOLDS[level];
+    const score = scorePair(foreground, backdrop, required);
+    return {
+      foreground: fg,
+      background: bg,
+      kind,
+      state: state || null,
+      colors: [foreground, backdrop],
+      ...score,
+      level: kind === "ui" ? (score.ratio >= UI_THRESHOLD ? "AA" : "fail") : contrastLevel(score.ratio),
+    };
+  });
+}
+
+// Runs in the page: text nodes grouped by rendered text color over the composited background behind them.
+function buildContrastSampleExpression(styleId, fallbackBackground) {
+  return `(() => {${PAGE_HELPERS}
+    const fallback = toRgbaParts(${JSON.stringify(fallbackBackground)}) || [255, 255, 255, 1];
+    const over = ([r, g, b, a], [br, bg, bb]) => [
+      Math.round(r * a + br * (1 - a)),
+      Math.round(g * a + bg * (1 - a)),
+      Math.round(b * a + bb * (1 - a)),
+      1,
+    ];
+    const backgroundOf = (el) => {
+      const layers = [];
+      for (let node = el; node; node = node.parentElement) {
+        const parts = toRgbaParts(getComputedStyle(node).backgroundColor);
+        if (!parts) continue;
+        layers.push(parts);
+        if (parts[3] >= 1) break;
+      }
+      return layers.reduceRight((base, layer) => over(layer, base), fallback);
+    };
+    const groups = new Map();
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = node.textContent.trim();
+      const el = node.parentElement;
+      if (!text || !el || el.closest('style, script, noscript, #' + ${JSON.stringify(styleId)})) continue;
+      const rect = el.getBoundingClientRect();
+      if (!isVisible(el, rect)) continue;
+      const style = getComputedStyle(el);
+      const colorParts = toRgbaParts(style.color);
+      if (!colorParts) continue;
+      const background = backgroundOf(el);
+      const color = over(colorParts, background);
+      const size = parseFloat(style.fontSize);
+      const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+      const selector = selectorFor(el, 'color');
+      const key = formatRgba(color) + '|' + formatRgba(background) + '|' + selector + '|' + large;
+      const group = groups.get(key);
+      if (group) {
+        group.count += 1;
+        continue;
+      }
+      groups.set(key, {
+        color: formatRgba(color),
+        background: formatRgba(background),
+        selector,
+        large,
+        count: 1,
+        sample: text.slice(0, 40),
+      });
+    }
+    return Array.from(groups.values());
+  })()`;
+}
+
+function scoreSamples(samples, level = "AA") {
+  return samples
+    .map((sample) => {
+      const color = toHex(parseColor(sample.color));
+      const background = toHex(parseColor(sample.background));
+      const required = (sample.large ? LARGE_TEXT_THRESHOLDS : TEXT_THRESHOLDS)[level];
+      return { ...sample, color, background, ...scorePair(color, background, required) };
+    })
+    .sort((a, b) => a.ratio - b.ratio || b.count - a.count);
+}
+
+function formatFix(fix) {
+  return fix ? `  fix: ${fix.color} (${fix.ratio.toFixed(2)}:1)` : "  fix: none (background too close to mid-grey)";
+}
+
+function formatPaletteReport(theme, level, scores, withFixes) {
+  const lines = [`Palette "${theme.name}" (${level}, UI components ${UI_THRESHOLD}:1):`];
+  for (const score of scores) {
+    const pair = `${score.foreground} / ${score.background}${score.state ? ` (${score.state})` : ""}`;
+    const status = score.passes ? score.level : `FAIL, needs ${score.required}:1`;
+    const fix = !score.passes && withFixes ? formatFix(score.fix) : "";
+    lines.push(`  ${pair.padEnd(44)} ${`${score.ratio.toFixed(2)}:1`.padStart(8)}  ${status}${fix}`);
+  }
+  return lines.join("\n");
+}
+
+function formatSampleReport(title, samples, withFixes, limit) {
+  const failing = samples.filter((sample) => !sample.passes);
+  const lines = [`${title}: ${failing.length} failing text pair(s) of ${samples.length} sampled`];
+  for (const sample of failing.slice(0, limit)) {
+    const fix = withFixes ? formatFix(sample.fix) : "";
+    lines.push(
+      `  ${sample.color} on ${sample.background}  ${`${sample.ratio.toFixed(2)}:1`.padStart(8)} ` +
+        `(needs ${sample.required}:1${sample.large ? ", large text" : ""}) x${sample.count} ${sample.selector} ` +
+        `${JSON.stringify(sample.sample)}${fix}`,
+    );
+  }
+  if (failing.length > limit) {
+    lines.push(`  ... ${failing.length - limit} more (raise --limit or use --json)`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  CONTRAST_LEVELS,
+  scorePalette,
+  buildContrastSampleExpression,
+  scoreSamples,
+  formatPaletteReport,
+  formatSampleReport,
+};
@@ -0,0 +1,221 @@
+const CONTEXT_LINES = 3;
+const CONTEXT_CHARS = 160;
+const MAX_CHANGED_CHARS = 600;
+
+function lineNumberAt(text, index) {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < index; i = text.indexOf("\n", i + 1)) {
+    line += 1;
+  }
+  return line;
+}
+
+// Line starts of `text`; a trailing newline ends the last line instead of starting an empty one.
+function indexLines(text) {
+  const starts = [0];
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+    starts.push(i + 1);
+  }
+  const count = text.endsWith("\n") ? starts.length - 1 : starts.length;
+  const lineOf = (index) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  };
+  const endOf = (line) => (line + 1 < starts.length ? starts[line + 1] - 1 : text.length);
+  return { starts, count, lineOf, endOf };
+}
+
+function splitLines(text) {
+  if (text === "") {
+    return [];
+  }
+  const lines = text.split("\n");
+  if (text.endsWith("\n")) {
+    lines.pop();
+  }
+  return lines;
+}
+
+function truncateMiddle(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+  const half = Math.floor(limit / 2);
+  return `${text.slice(0, half)}... (${text.length - limit} chars) ...${text.slice(-half)}`;
+}
+
+// Minified bundles are a few huge lines: keep CONTEXT_CHARS around the changed ranges and elide the rest.
+function renderLine(line, ranges) {
+  if (ranges.length === 0) {
+    return truncateMiddle(line, CONTEXT_CHARS * 2);
+  }
+  const windows = [];
+  for (const [from, to] of ranges) {
+    const window = [Math.max(0, from - CONTEXT_CHARS), Math.min(line.length, to + CONTEXT_CHARS)];
+    const last = windows[windows.length - 1];
+    if (last && window[0] <= last[1]) {
+      last[1] = Math.max(last[1], window[1]);
+    } else {
+      windows.push(window);
+    }
+  }
+  let out = windows[0][0] > 0 ? "..." : "";
+  windows.forEach(([from, to], i) => {
+    if (i > 0) {
+      out += `... (${from - windows[i - 1][1]} chars) ...`;
+    }
+    out += truncateMiddle(line.slice(from, to), MAX_CHANGED_CHARS + CONTEXT_CHARS * 2);
+  });
+  return windows[windows.length - 1][1] < line.length ? `${out}...` : out;
+}
+
+// Splits `text` into lines, each with the changed [from, to) ranges that fall on it.
+function linesWithRanges(text, ranges) {
+  let offset = 0;
+  return splitLines(text).map((line) => {
+    const start = offset;
+    const end = start + line.length;
+    offset = end + 1;
+    const own = ranges
+      .filter(([from, to]) => from <= end && to >= start)
+      .map(([from, to]) => [Math.max(from, start) - start, Math.min(to, end) - start]);
+    return { line, ranges: own };
+  });
+}
+
+function editSpan(lines, edit) {
+  const first = lines.lineOf(edit.index);
+  const last = edit.remove > 0 ? lines.lineOf(edit.index + edit.remove - 1) : first;
+  return [first, last];
+}
+
+// Edits on the same lines form one change block; blocks whose context overlaps or touches share a hunk.
+function groupEdits(lines, edits) {
+  const blocks = [];
+  for (const edit of edits) {
+    const [first, last] = editSpan(lines, edit);
+    const block = blocks[blocks.length - 1];
+    if (block && first <= block.last) {
+      block.last = Math.max(block.last, last);
+      block.edits.push(edit);
+    } else {
+      blocks.push({ first, last, edits: [edit] });
+    }
+  }
+
+  const hunks = [];
+  for (const block of blocks) {
+    const from = Math.max(0, block.first - CONTEXT_LINES);
+    const to = Math.min(Math.max(lines.count, block.last + 1) - 1, block.last + CONTEXT_LINES);
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && from <= hunk.to + 1) {
+      hunk.to = Math.max(hunk.to, to);
+      hunk.blocks.push(block);
+    } else {
+      hunks.push({ from, to, blocks: [block] });
+    }
+  }
+  return hunks;
+}
+
+function formatBlock(original, lines, block) {
+  const start = lines.starts[block.first];
+  const end = block.last + 1 < lines.starts.length ? lines.starts[block.last + 1] : original.length;
+  const oldText = original.slice(start, end);
+  const oldRanges = block.edits.map((edit) => [edit.index - start, edit.index + edit.remove - start]);
+
+  let newText = "";
+  let cursor = 0;
+  const newRanges = [];
+  for (const edit of block.edits) {
+    newText += oldText.slice(cursor, edit.index - start);
+    newRanges.push([newText.length, newText.length + edit.insert.length]);
+    newText += edit.insert;
+    cursor = edit.index + edit.remove - start;
+  }
+  newText += oldText.slice(cursor);
+
+  const oldLines = linesWithRanges(oldText, oldRanges);
+  const newLines = linesWithRanges(newText, newRanges);
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head].line === newLines[head].line) {
+    head += 1;
+  }
+  let tail = 0;
+  while (
+    tail < oldLines.length - head &&
+    tail < newLines.length - head &&
+    oldLines[oldLines.length - 1 - tail].line === newLines[newLines.length - 1 - tail].line
+  ) {
+    tail += 1;
+  }
+
+  return {
+    oldCount: oldLines.length,
+    newCount: newLines.length,
+    lines: [
+      ...oldLines.slice(0, head).map(({ line, ranges }) => ` ${renderLine(line, ranges)}`),
+      ...oldLines.slice(head, oldLines.length - tail).map(({ line, ranges }) => `-${renderLine(line, ranges)}`),
+      ...newLines.slice(head, newLines.length - tail).map(({ line, ranges }) => `+${renderLine(line, ranges)}`),
+      ...oldLines.slice(oldLines.length - tail).map(({ line, ranges }) => ` ${renderLine(line, ranges)}`),
+    ],
+  };
+}
+
+function formatHunk(original, lines, hunk, lineShift) {
+  const body = [];
+  let oldCount = 0;
+  let newCount = 0;
+  let cursor = hunk.from;
+  const context = (to) => {
+    for (; cursor <= to && cursor < lines.count; cursor += 1) {
+      body.push(` ${renderLine(original.slice(lines.starts[cursor], lines.endOf(cursor)), [])}`);
+      oldCount += 1;
+      newCount += 1;
+    }
+  };
+
+  for (const block of hunk.blocks) {
+    context(block.first - 1);
+    const formatted = formatBlock(original, lines, block);
+    body.push(...formatted.lines);
+    oldCount += formatted.oldCount;
+    newCount += formatted.newCount;
+    cursor = block.last + 1;
+  }
+  context(hunk.to);
+
+  const oldStart = oldCount === 0 ? hunk.from : hunk.from + 1;
+  const newStart = newCount === 0 ? hunk.from + lineShift : hunk.from + 1 + lineShift;
+  const names = hunk.blocks.flatMap((block) => block.edits.map((edit) => `${edit.name} (offset ${edit.index})`));
+  return {
+    text: [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@ ${names.join(", ")}`, ...body].join("\n"),
+    shift: newCount - oldCount,
+  };
+}
+
+function formatUnifiedDiff(filePath, original, edits) {
+  const lines = indexLines(original);
+  let lineShift = 0;
+  const sorted = [...edits].sort((a, b) => a.index - b.index);
+  const hunks = groupEdits(lines, sorted).map((hunk) => {
+    const formatted = formatHunk(original, lines, hunk, lineShift);
+    lineShift += formatted.shift;
+    return formatted.text;
+  });
+  return [`--- a/${filePath}`, `+++ b/${filePath}`, ...hunks].join("\n");
+}
+
+module.exports = {
+  lineNumberAt,
+  formatUnifiedDiff,
+};
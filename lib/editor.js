@@ -0,0 +1,261 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { scorePalette } = require("./contrast");
+const { COLOR_TOKEN_NAMES, SYNTAX_TOKEN_NAMES, normalizeTheme, rebaseThemeSpec, serializeTheme } = require("./theme");
+
+const MAX_BODY_BYTES = 256 * 1024;
+
+function readEditedTheme(body) {
+  const raw = {
+    name: body.name,
+    type: body.type,
+    colors: body.colors,
+    syntax: Object.fromEntries(Object.entries(body.syntax || {}).filter(([, value]) => value)),
+    typography: body.typography,
+    variants: body.variants,
+    extends: body.extends,
+  };
+  return normalizeTheme(raw, "editor");
+}
+
+// extends/variants are resolved relative to the theme file, so saving elsewhere has to re-point relative paths.
+function rebaseThemeRefs(theme, fromDir, toDir) {
+  const rebase = (spec) => rebaseThemeSpec(spec, fromDir, toDir);
+  return {
+    ...theme,
+    extends: theme.extends && rebase(theme.extends),
+    variants: Object.fromEntries(Object.entries(theme.variants).map(([type, spec]) => [type, rebase(spec)])),
+  };
+}
+
+function buildEditorPage() {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>codex-darcula theme editor</title>
+<style>
+  body { margin: 0; font: 13px/1.4 -apple-system, BlinkMacSystemFont, sans-serif; background: #1e1f22; color: #dfe1e5; }
+  main { display: grid; grid-template-columns: minmax(340px, 1fr) minmax(340px, 1fr); gap: 24px; padding: 20px; }
+  h1 { font-size: 16px; margin: 0 0 12px; }
+  h2 { font-size: 13px; margin: 16px 0 6px; color: #9da0a8; text-transform: uppercase; }
+  table { border-collapse: collapse; width: 100%; }
+  td { padding: 3px 6px; }
+  input[type=text] {
+    width: 96px; font: 12px monospace; background: #2b2d30; color: inherit; border: 1px solid #4e5157;
+  }
+  input[type=color] { width: 36px; height: 22px; padding: 0; border: 0; background: none; }
+  .fail { color: #f75464; } .AA { color: #e0b060; } .AAA { color: #5fb865; }
+  #status { min-height: 18px; margin-top: 8px; color: #9da0a8; }
+  .preview { border: 1px solid var(--border); background: var(--background); color: var(--foreground); }
+  .preview aside { background: var(--panel); padding: 8px; border-bottom: 1px solid var(--border); }
+  .preview button { background: var(--panel); color: var(--foreground); border: 1px solid var(--controlBorder); }
+  .preview button:hover { background: var(--hover); }
+  .preview a { color: var(--accent); } .preview a:hover { color: var(--accentHover); }
+  .preview pre { background: var(--codeBackground); margin: 8px; padding: 8px; }
+  .preview mark { background: var(--selection); color: var(--selectionForeground); }
+</style>
+</head>
+<body>
+<main>
+  <section>
+    <h1>Palette</h1>
+    <label>Name <input type="text" id="name" style="width: 160px"></label>
+    <label>Type <select id="type"><option>dark</option><option>light</option></select></label>
+    <h2>Colors</h2><table id="colors"></table>
+    <h2>Syntax</h2><table id="syntax"></table>
+    <h2>Save</h2>
+    <input type="text" id="path" style="width: 100%">
+    <p><button id="save">Save theme</button></p>
+    <div id="status"></div>
+  </section>
+  <section>
+    <h1>Preview</h1>
+    <div class="preview" id="preview">
+      <aside>Sidebar <button>Button</button></aside>
+      <p style="padding: 0 8px">Text with a <a href="#">link</a> and <mark>selected text</mark>.</p>
+      <pre id="code"></pre>
+    </div>
+    <h2>Contrast</h2><table id="contrast"></table>
+  </section>
+</main>
+<script>
+const COLOR_TOKENS = ${JSON.stringify(COLOR_TOKEN_NAMES)};
+const SYNTAX_TOKENS = ${JSON.stringify(SYNTAX_TOKEN_NAMES)};
+const $ = (id) => document.getElementById(id);
+let timer = null;
+let carried = {};
+
+function row(table, group, token, value) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = '<td>' + token + '</td><td><input type="color"></td><td><input type="text"></td>';
+  const [picker, text] = tr.querySelectorAll('input');
+  picker.dataset.group = group; picker.dataset.token = token; text.dataset.group = group; text.dataset.token = token;
+  text.value = value || '';
+  picker.value = (value || '#000000').slice(0, 7);
+  picker.addEventListener('input', () => { text.value = picker.value; schedule(); });
+  text.addEventListener('input', () => {
+    if (/^#[0-9a-f]{6}/i.test(text.value)) picker.value = text.value.slice(0, 7);
+    schedule();
+  });
+  table.appendChild(tr);
+}
+
+function collect() {
+  const out = { ...carried, name: $('name').value, type: $('type').value, colors: {}, syntax: {} };
+  for (const input of document.querySelectorAll('input[type=text][data-group]')) {
+    out[input.dataset.group][input.dataset.token] = input.value.trim();
+  }
+  return out;
+}
+
+function renderPreview(theme) {
+  for (const token of COLOR_TOKENS) $('preview').style.setProperty('--' + token, theme.colors[token]);
+  $('code').innerHTML = SYNTAX_TOKENS.map((token) =>
+    '<span style="color:' + (theme.syntax[token] || 'inherit') + '">' + token + '</span>').join(' ');
+}
+
+function renderContrast(rows) {
+  $('contrast').innerHTML = rows.map((r) => '<tr><td>' + r.foreground + ' / ' + r.background + (r.state ? ' (' + r.state + ')' : '') + '</td><td>' +
+    r.ratio.toFixed(2) + ':1</td><td class="' + r.level.split(' ')[0] + '">' + r.level + '</td></tr>').join('');
+}
+
+async function post(url, body) {
+  const headers = { 'content-type': 'application/json' };
+  const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error);
+  return result;
+}
+
+function schedule() {
+  clearTimeout(timer);
+  timer = setTimeout(async () => {
+    try {
+      const result = await post('/preview', collect());
+      renderPreview(result.theme);
+      renderContrast(result.contrast);
+      $('status').textContent = 'Preview pushed to ' + result.targets + ' Codex target(s)';
+    } catch (error) {
+      $('status').textContent = error.message;
+    }
+  }, 120);
+}
+
+$('save').addEventListener('click', async () => {
+  try {
+    const result = await post('/save', { path: $('path').value, theme: collect() });
+    $('status').textContent = 'Saved ' + result.path;
+  } catch (error) {
+    $('status').textContent = error.message;
+  }
+});
+
+fetch('/theme').then((response) => response.json()).then(({ theme, savePath, contrast }) => {
+  $('name').value = theme.name;
+  $('type').value = theme.type;
+  $('path').value = savePath;
+  carried = { typography: theme.typography, variants: theme.variants, extends: theme.extends };
+  for (const token of COLOR_TOKENS) row($('colors'), 'colors', token, theme.colors[token]);
+  for (const token of SYNTAX_TOKENS) row($('syntax'), 'syntax', token, theme.syntax[token]);
+  $('name').addEventListener('input', schedule);
+  $('type').addEventListener('change', schedule);
+  renderPreview(theme);
+  renderContrast(contrast);
+});
+</script>
+</body>
+</html>
+`;
+}
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body is too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new Error("Request body must be JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" });
+  response.end(JSON.stringify(body));
+}
+
+// Only same-origin JSON requests from localhost: a web page cannot send them without a CORS preflight we never answer.
+function isTrustedRequest(request, port) {
+  const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!allowedHosts.includes(request.headers.host)) {
+    return false;
+  }
+  if (request.method !== "POST") {
+    return true;
+  }
+  return /^application\/json\b/.test(request.headers["content-type"] || "");
+}
+
+function createEditorServer({ theme, savePath, port, onPreview }) {
+  let current = theme;
+
+  return http.createServer(async (request, response) => {
+    if (!isTrustedRequest(request, port)) {
+      sendJson(response, 403, { error: "Forbidden" });
+      return;
+    }
+
+    try {
+      if (request.method === "GET" && request.url === "/") {
+        response.writeHead(200, { "content-type": "text/html; charset=utf-8", "cache-control": "no-store" });
+        response.end(buildEditorPage());
+        return;
+      }
+      if (request.method === "GET" && request.url === "/theme") {
+        sendJson(response, 200, { theme: current, savePath, contrast: scorePalette(current) });
+        return;
+      }
+      if (request.method === "POST" && request.url === "/preview") {
+        const edited = readEditedTheme(await readJsonBody(request));
+        const targets = await onPreview(edited);
+        current = edited;
+        sendJson(response, 200, { theme: edited, contrast: scorePalette(edited), targets });
+        return;
+      }
+      if (request.method === "POST" && request.url === "/save") {
+        const body = await readJsonBody(request);
+        const edited = readEditedTheme(body.theme || {});
+        const outPath = path.resolve(body.path || savePath);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        const sourceDir = theme.path ? path.dirname(theme.path) : process.cwd();
+        fs.writeFileSync(outPath, serializeTheme(rebaseThemeRefs(edited, sourceDir, path.dirname(outPath))));
+        current = edited;
+        console.log(`editor: saved ${outPath}`);
+        sendJson(response, 200, { path: outPath });
+        return;
+      }
+      sendJson(response, 404, { error: "Not found" });
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  createEditorServer,
+};
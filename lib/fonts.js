@@ -0,0 +1,181 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const GENERIC_FAMILIES = [
+  "serif",
+  "sans-serif",
+  "monospace",
+  "cursive",
+  "fantasy",
+  "math",
+  "emoji",
+  "system-ui",
+  "ui-serif",
+  "ui-sans-serif",
+  "ui-monospace",
+  "ui-rounded",
+  "-apple-system",
+  "blinkmacsystemfont",
+];
+const FONT_EXTENSIONS = [".ttf", ".otf", ".ttc", ".otc", ".dfont", ".woff", ".woff2"];
+const STYLE_WORDS = [
+  "regular",
+  "roman",
+  "book",
+  "normal",
+  "thin",
+  "hairline",
+  "extralight",
+  "ultralight",
+  "light",
+  "medium",
+  "semibold",
+  "demibold",
+  "bold",
+  "extrabold",
+  "ultrabold",
+  "black",
+  "heavy",
+  "italic",
+  "oblique",
+  "it",
+  "condensed",
+  "narrow",
+  "variable",
+  "vf",
+];
+const STYLE_SUFFIX = new RegExp(`^(?:${STYLE_WORDS.join("|")})*$`);
+const MAX_SCAN_DEPTH = 4;
+const FC_LIST_TIMEOUT_MS = 10 * 1000;
+
+let fontIndex = null;
+
+function isGenericFamily(family) {
+  return GENERIC_FAMILIES.includes(family.toLowerCase());
+}
+
+function compactName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function getFontDirs() {
+  const home = os.homedir();
+  if (process.platform === "darwin") {
+    return ["/System/Library/Fonts", "/Library/Fonts", path.join(home, "Library", "Fonts")];
+  }
+  if (process.platform === "win32") {
+    const localAppData = process.env.LOCALAPPDATA || path.join(home, "AppData", "Local");
+    return [
+      path.join(process.env.WINDIR || "C:\\Windows", "Fonts"),
+      path.join(localAppData, "Microsoft", "Windows", "Fonts"),
+    ];
+  }
+  return [
+    "/usr/share/fonts",
+    "/usr/local/share/fonts",
+    path.join(home, ".local", "share", "fonts"),
+    path.join(home, ".fonts"),
+  ];
+}
+
+function listFontFiles(dir, depth = 0, out = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory() && depth < MAX_SCAN_DEPTH) {
+      listFontFiles(path.join(dir, entry.name), depth + 1, out);
+    } else if (FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      out.push(compactName(path.basename(entry.name, path.extname(entry.name)).replace(/\[.*\]$/, "")));
+    }
+  }
+  return out;
+}
+
+function listFontconfigFamilies() {
+  const result = spawnSync("fc-list", [":", "family"], { encoding: "utf8", timeout: FC_LIST_TIMEOUT_MS });
+  if (result.error || result.status !== 0) {
+    return [];
+  }
+  return result.stdout
+    .split("\n")
+    .flatMap((line) => line.split(","))
+    .map(compactName)
+    .filter(Boolean);
+}
+
+// fontconfig knows family names; without it (macOS, Windows) font files are matched by name: the family followed by
+// style words only, so "JetBrains Mono" matches JetBrainsMono-BoldItalic.ttf but not JetBrainsMonoNL-Regular.ttf.
+function createFontIndex() {
+  const families = new Set(listFontconfigFamilies());
+  const files = getFontDirs().flatMap((dir) => listFontFiles(dir));
+  return {
+    has(family) {
+      const name = compactName(family);
+      return (
+        families.has(name) || files.some((file) => file.startsWith(name) && STYLE_SUFFIX.test(file.slice(name.length)))
+      );
+    },
+  };
+}
+
+function getFontIndex() {
+  if (!fontIndex) {
+    fontIndex = createFontIndex();
+  }
+  return fontIndex;
+}
+
+function findMissingFonts(typography) {
+  const stacks = [
+    ["uiFont", typography && typography.uiFont],
+    ["monoFont", typography && typography.monoFont],
+  ].filter(([, families]) => families && families.length > 0 && !isGenericFamily(families[0]));
+  if (stacks.length === 0) {
+    return [];
+  }
+
+  const fonts = getFontIndex();
+  const missing = [];
+  for (const [token, families] of stacks) {
+    if (fonts.has(families[0])) {
+      continue;
+    }
+    const fallback = families.slice(1).find((family) => isGenericFamily(family) || fonts.has(family));
+    const generic = token === "monoFont" ? "monospace" : "sans-serif";
+    missing.push({ token, family: families[0], fallback: fallback || generic });
+  }
+  return missing;
+}
+
+// Paired variants usually share their typography; report each missing font once with every theme that asks for it.
+function findMissingVariantFonts(variants) {
+  const found = new Map();
+  for (const variant of Object.values(variants)) {
+    for (const missing of findMissingFonts(variant.typography)) {
+      const key = [missing.token, missing.family, missing.fallback].join("\n");
+      if (found.has(key)) {
+        found.get(key).themes.push(variant.name);
+      } else {
+        found.set(key, { ...missing, themes: [variant.name] });
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+function formatMissingFont({ token, family, fallback }) {
+  return `${token} "${family}" is not installed locally; Codex will fall back to ${fallback}`;
+}
+
+module.exports = {
+  isGenericFamily,
+  findMissingFonts,
+  findMissingVariantFonts,
+  formatMissingFont,
+};
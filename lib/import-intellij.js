@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const { parseXml, childElements } = require("./xml");
+const { parseColor, flatten, relativeLuminance } = require("./color");
+
+const PARENT_SCHEME_TYPES = {
+  Darcula: "dark",
+  "High contrast": "dark",
+  Default: "light",
+  "IntelliJ Light": "light",
+};
+
+// Editor text colors of the stock Darcula and IntelliJ Light schemes, for files that inherit them from the parent.
+// Every other missing token is derived from these by normalizeTheme, not taken from a built-in theme.
+const TYPE_DEFAULTS = {
+  dark: { background: "#2b2b2b", foreground: "#a9b7c6" },
+  light: { background: "#ffffff", foreground: "#080808" },
+};
+
+const SCHEME_TOKEN_KEYS = {
+  background: ["attr:TEXT.BACKGROUND", "CONSOLE_BACKGROUND_KEY"],
+  foreground: ["attr:TEXT.FOREGROUND", "attr:CONSOLE_NORMAL_OUTPUT.FOREGROUND"],
+  border: ["TEARLINE_COLOR", "INDENT_GUIDE", "RIGHT_MARGIN_COLOR"],
+  hover: ["CARET_ROW_COLOR"],
+  accent: ["attr:CTRL_CLICKABLE.FOREGROUND", "attr:HYPERLINK_ATTRIBUTES.FOREGROUND"],
+  accentHover: ["attr:FOLLOWED_HYPERLINK_ATTRIBUTES.FOREGROUND"],
+  codeBackground: ["GUTTER_BACKGROUND"],
+  selection: ["SELECTION_BACKGROUND"],
+  selectionForeground: ["SELECTION_FOREGROUND"],
+  scrollbar: ["ScrollBar.Mac.thumbColor", "ScrollBar.thumbColor", "ScrollBar.Mac.Transparent.thumbColor"],
+  scrollbarTrack: ["ScrollBar.Mac.trackColor", "ScrollBar.trackColor"],
+  diffAdded: ["attr:DIFF_INSERTED.BACKGROUND"],
+  diffRemoved: ["attr:DIFF_DELETED.BACKGROUND"],
+  diffChanged: ["attr:DIFF_MODIFIED.BACKGROUND"],
+};
+
+const SCHEME_SYNTAX_KEYS = {
+  keyword: ["attr:DEFAULT_KEYWORD.FOREGROUND"],
+  string: ["attr:DEFAULT_STRING.FOREGROUND"],
+  number: ["attr:DEFAULT_NUMBER.FOREGROUND"],
+  comment: ["attr:DEFAULT_LINE_COMMENT.FOREGROUND", "attr:DEFAULT_BLOCK_COMMENT.FOREGROUND"],
+  function: ["attr:DEFAULT_FUNCTION_DECLARATION.FOREGROUND"],
+  type: ["attr:DEFAULT_CLASS_NAME.FOREGROUND"],
+  variable: ["attr:DEFAULT_LOCAL_VARIABLE.FOREGROUND", "attr:DEFAULT_IDENTIFIER.FOREGROUND"],
+  constant: ["attr:DEFAULT_CONSTANT.FOREGROUND", "attr:DEFAULT_INSTANCE_FIELD.FOREGROUND"],
+  tag: ["attr:DEFAULT_TAG.FOREGROUND", "attr:HTML_TAG_NAME.FOREGROUND"],
+  attribute: ["attr:DEFAULT_ATTRIBUTE.FOREGROUND", "attr:HTML_ATTRIBUTE_NAME.FOREGROUND"],
+  operator: ["attr:DEFAULT_OPERATION_SIGN.FOREGROUND"],
+};
+
+const UI_TOKEN_KEYS = {
+  background: ["EditorPane.background", "TextArea.background", "Panel.background", "*.background"],
+  foreground: ["EditorPane.foreground", "Label.foreground", "Panel.foreground", "*.foreground"],
+  panel: ["Panel.background", "SidePanel.background", "ToolWindow.background", "*.background"],
+  border: ["Borders.color", "Component.borderColor", "*.borderColor"],
+  controlBorder: ["Component.borderColor", "Button.startBorderColor", "TextField.borderColor", "*.borderColor"],
+  hover: ["ActionButton.hoverBackground", "List.hoverBackground", "Tree.hoverBackground"],
+  accent: ["Link.activeForeground", "Hyperlink.linkColor", "Component.focusColor"],
+  accentHover: ["Link.hoverForeground", "Link.pressedForeground"],
+  selection: ["EditorPane.selectionBackground", "TextArea.selectionBackground", "*.selectionBackground"],
+  selectionForeground: ["EditorPane.selectionForeground", "TextArea.selectionForeground", "*.selectionForeground"],
+  scrollbar: ["ScrollBar.Mac.thumbColor", "ScrollBar.thumbColor", "ScrollBar.Mac.Transparent.thumbColor"],
+  scrollbarTrack: ["ScrollBar.Mac.trackColor", "ScrollBar.trackColor", "ScrollBar.background"],
+};
+
+const SCHEME_PREFERRED_TOKENS = ["background", "foreground", "codeBackground", "selection", "selectionForeground"];
+
+function parseSchemeColor(value) {
+  if (!value) {
+    return null;
+  }
+  const hex = value.length < 6 ? value.padStart(6, "0") : value;
+  return parseColor(hex) ? `#${hex.toLowerCase()}` : null;
+}
+
+function readIclsScheme(text) {
+  const root = parseXml(text);
+  if (root.name !== "scheme") {
+    throw new Error(`Expected <scheme> root element, found <${root.name}>`);
+  }
+
+  const values = {};
+
+  for (const colors of childElements(root, "colors")) {
+    for (const option of childElements(colors, "option")) {
+      const color = parseSchemeColor(option.attributes.value);
+      if (option.attributes.name && color) {
+        values[option.attributes.name] = color;
+      }
+    }
+  }
+
+  for (const attributes of childElements(root, "attributes")) {
+    for (const option of childElements(attributes, "option")) {
+      for (const value of childElements(option, "value")) {
+        for (const field of childElements(value, "option")) {
+          const color = parseSchemeColor(field.attributes.value);
+          if (color) {
+            values[`attr:${option.attributes.name}.${field.attributes.name}`] = color;
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    name: root.attributes.name,
+    parent: root.attributes.parent_scheme,
+    values,
+  };
+}
+
+function pickTokens(lookup, tokenKeys) {
+  const colors = {};
+  for (const [token, keys] of Object.entries(tokenKeys)) {
+    for (const key of keys) {
+      const value = lookup(key);
+      if (value) {
+        colors[token] = value;
+        break;
+      }
+    }
+  }
+  return colors;
+}
+
+function finalizeColors(picked, type) {
+  const colors = { ...TYPE_DEFAULTS[type], ...picked };
+  const out = {};
+  for (const [token, value] of Object.entries(colors)) {
+    out[token] = flatten(value, colors.background);
+  }
+  if (out.background && !out.scrollbarTrack) {
+    out.scrollbarTrack = out.background;
+  }
+  return out;
+}
+
+function guessType(colors, fallback) {
+  if (colors.background) {
+    return relativeLuminance(colors.background) < 0.4 ? "dark" : "light";
+  }
+  return fallback;
+}
+
+function importIcls(text, filePath) {
+  const scheme = readIclsScheme(text);
+  const picked = pickTokens((key) => scheme.values[key], SCHEME_TOKEN_KEYS);
+  const type = guessType(picked, PARENT_SCHEME_TYPES[scheme.parent] || "dark");
+
+  return {
+    name: scheme.name || path.basename(filePath, path.extname(filePath)),
+    type,
+    colors: finalizeColors(picked, type),
+    syntax: pickTokens((key) => scheme.values[key], SCHEME_SYNTAX_KEYS),
+  };
+}
+
+function flattenUiKeys(node, prefix, out) {
+  for (const [key, value] of Object.entries(node || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenUiKeys(value, fullKey, out);
+    } else if (typeof value === "string") {
+      out[fullKey] = value;
+    }
+  }
+  return out;
+}
+
+function resolveNamedColor(value, namedColors, depth = 0) {
+  if (parseColor(value)) {
+    return value;
+  }
+  if (depth > 8 || !Object.prototype.hasOwnProperty.call(namedColors, value)) {
+    return null;
+  }
+  return resolveNamedColor(namedColors[value], namedColors, depth + 1);
+}
+
+function findEditorScheme(schemePath, themeDir) {
+  const candidates = [
+    path.resolve(themeDir, schemePath.replace(/^\/+/, "")),
+    path.join(themeDir, path.basename(schemePath)),
+  ];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+function importIntellijTheme(text, filePath) {
+  const raw = JSON.parse(text);
+  const namedColors = raw.colors || {};
+  const ui = flattenUiKeys(raw.ui, "", {});
+
+  const picked = pickTokens((key) => (ui[key] ? resolveNamedColor(ui[key], namedColors) : null), UI_TOKEN_KEYS);
+
+  let colors = picked;
+  let syntax = {};
+  if (raw.editorScheme) {
+    const schemePath = findEditorScheme(raw.editorScheme, path.dirname(filePath));
+    if (schemePath) {
+      const imported = readIclsScheme(fs.readFileSync(schemePath, "utf8"));
+      const scheme = pickTokens((key) => imported.values[key], SCHEME_TOKEN_KEYS);
+      syntax = pickTokens((key) => imported.values[key], SCHEME_SYNTAX_KEYS);
+      colors = { ...scheme, ...picked };
+      for (const token of SCHEME_PREFERRED_TOKENS) {
+        if (scheme[token]) {
+          colors[token] = scheme[token];
+        }
+      }
+    }
+  }
+
+  const type = raw.dark === false ? "light" : raw.dark === true ? "dark" : guessType(colors, "dark");
+
+  return {
+    name: raw.name || path.basename(filePath, ".theme.json"),
+    type,
+    colors: finalizeColors(colors, type),
+    syntax,
+  };
+}
+
+module.exports = {
+  importIcls,
+  importIntellijTheme,
+};
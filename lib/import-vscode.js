@@ -0,0 +1,219 @@
+const fs = require("fs");
+const path = require("path");
+const { flatten, relativeLuminance } = require("./color");
+
+const MAX_INCLUDE_DEPTH = 8;
+
+const TYPE_DEFAULTS = {
+  dark: {
+    background: "#1e1e1e",
+    foreground: "#d4d4d4",
+    panel: "#252526",
+    accent: "#3794ff",
+    selection: "#264f78",
+  },
+  light: {
+    background: "#ffffff",
+    foreground: "#000000",
+    panel: "#f3f3f3",
+    accent: "#006ab1",
+    selection: "#add6ff",
+  },
+};
+
+const COLOR_KEYS = {
+  background: ["editor.background"],
+  foreground: ["editor.foreground", "foreground"],
+  panel: ["sideBar.background", "activityBar.background", "panel.background"],
+  border: ["panel.border", "sideBar.border", "editorGroup.border", "contrastBorder"],
+  controlBorder: ["input.border", "dropdown.border", "button.border", "contrastBorder"],
+  hover: ["list.hoverBackground", "toolbar.hoverBackground", "button.secondaryHoverBackground"],
+  accent: ["textLink.foreground", "focusBorder", "button.background"],
+  accentHover: ["textLink.activeForeground", "button.hoverBackground"],
+  codeBackground: ["textCodeBlock.background", "editorWidget.background"],
+  selection: ["editor.selectionBackground", "selection.background"],
+  selectionForeground: ["editor.selectionForeground"],
+  scrollbar: ["scrollbarSlider.background", "scrollbarSlider.hoverBackground"],
+  scrollbarTrack: ["editorOverviewRuler.background"],
+  diffAdded: ["diffEditor.insertedLineBackground", "diffEditor.insertedTextBackground"],
+  diffRemoved: ["diffEditor.removedLineBackground", "diffEditor.removedTextBackground"],
+};
+
+const SYNTAX_SCOPES = {
+  keyword: "keyword.control",
+  storage: "storage.type",
+  string: "string.quoted.double",
+  number: "constant.numeric",
+  comment: "comment.line",
+  function: "entity.name.function",
+  type: "entity.name.type",
+  variable: "variable.other",
+  constant: "constant.language",
+  tag: "entity.name.tag",
+  attribute: "entity.other.attribute-name",
+  operator: "keyword.operator",
+  regexp: "string.regexp",
+};
+
+function parseJsonc(text) {
+  const out = [];
+  let pendingComma = -1;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      const start = i;
+      i += 1;
+      while (i < text.length && text[i] !== '"') {
+        i += text[i] === "\\" ? 2 : 1;
+      }
+      i += 1;
+      out.push(text.slice(start, i));
+      pendingComma = -1;
+      continue;
+    }
+    if (ch === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") {
+        i += 1;
+      }
+      continue;
+    }
+    if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+    if ((ch === "}" || ch === "]") && pendingComma !== -1) {
+      out[pendingComma] = "";
+    }
+    if (!/\s/.test(ch)) {
+      pendingComma = ch === "," ? out.length : -1;
+    }
+    out.push(ch);
+    i += 1;
+  }
+
+  return JSON.parse(out.join(""));
+}
+
+function readTokenColors(value, themeDir) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === "string" && value.endsWith(".json")) {
+    const raw = parseJsonc(fs.readFileSync(path.resolve(themeDir, value), "utf8"));
+    return Array.isArray(raw) ? raw : raw.tokenColors || [];
+  }
+  return [];
+}
+
+function readVscodeTheme(filePath, text, depth = 0) {
+  const raw = parseJsonc(text);
+  const themeDir = path.dirname(filePath);
+  let colors = raw.colors || {};
+  let tokenColors = readTokenColors(raw.tokenColors, themeDir);
+  let type = raw.type;
+
+  if (raw.include) {
+    if (depth >= MAX_INCLUDE_DEPTH) {
+      throw new Error(`VS Code theme ${filePath} includes too many levels (cycle?)`);
+    }
+    const includePath = path.resolve(themeDir, raw.include);
+    const base = readVscodeTheme(includePath, fs.readFileSync(includePath, "utf8"), depth + 1);
+    colors = { ...base.colors, ...colors };
+    tokenColors = [...base.tokenColors, ...tokenColors];
+    type = type || base.type;
+  }
+
+  return { name: raw.name, type, colors, tokenColors };
+}
+
+function splitScopes(scope) {
+  const list = Array.isArray(scope) ? scope : String(scope || "").split(",");
+  return list.map((item) => item.trim()).filter((item) => item && !item.includes(" "));
+}
+
+function matchSyntaxColors(tokenColors) {
+  const syntax = {};
+
+  for (const [token, scope] of Object.entries(SYNTAX_SCOPES)) {
+    let best = null;
+    let bestLength = -1;
+    for (const rule of tokenColors) {
+      const foreground = rule && rule.settings && rule.settings.foreground;
+      if (!foreground) {
+        continue;
+      }
+      for (const selector of splitScopes(rule.scope)) {
+        const matches = scope === selector || scope.startsWith(`${selector}.`);
+        if (matches && selector.length >= bestLength) {
+          best = foreground;
+          bestLength = selector.length;
+        }
+      }
+    }
+    if (best) {
+      syntax[token] = best;
+    }
+  }
+
+  return syntax;
+}
+
+function resolveType(declared, background) {
+  if (declared === "light" || declared === "hcLight") {
+    return "light";
+  }
+  if (declared === "dark" || declared === "hc" || declared === "hcDark") {
+    return "dark";
+  }
+  return background && relativeLuminance(background) >= 0.4 ? "light" : "dark";
+}
+
+function flattenAll(colors, backdrop) {
+  for (const [token, value] of Object.entries(colors)) {
+    const flat = flatten(value, token === "background" ? null : backdrop);
+    if (flat) {
+      colors[token] = flat;
+    } else {
+      delete colors[token];
+    }
+  }
+  return colors;
+}
+
+function importVscodeTheme(text, filePath) {
+  const theme = readVscodeTheme(filePath, text);
+  const globalSettings = theme.tokenColors.find((rule) => rule && !rule.scope && rule.settings);
+  const vscodeColors = { ...theme.colors };
+  if (globalSettings) {
+    vscodeColors["editor.background"] = vscodeColors["editor.background"] || globalSettings.settings.background;
+    vscodeColors["editor.foreground"] = vscodeColors["editor.foreground"] || globalSettings.settings.foreground;
+  }
+
+  const type = resolveType(theme.type, vscodeColors["editor.background"]);
+  const colors = { ...TYPE_DEFAULTS[type] };
+  for (const [token, keys] of Object.entries(COLOR_KEYS)) {
+    const key = keys.find((candidate) => vscodeColors[candidate]);
+    if (key) {
+      colors[token] = vscodeColors[key];
+    }
+  }
+  flattenAll(colors, colors.background);
+  colors.scrollbarTrack = colors.scrollbarTrack || colors.background;
+
+  const syntax = flattenAll(matchSyntaxColors(theme.tokenColors), colors.background);
+
+  return {
+    name: theme.name || path.basename(filePath).replace(/(-color-theme)?\.jsonc?$/, ""),
+    type,
+    colors,
+    syntax,
+  };
+}
+
+module.exports = {
+  parseJsonc,
+  importVscodeTheme,
+};
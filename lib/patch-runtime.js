@@ -0,0 +1,238 @@
+const { CSS_VAR_PREFIX, buildThemeCss } = require("./theme");
+
+// Runs inside the patched Codex main process: serialized with toString(), so it must not use outer scope.
+// electron is the bundle's own binding (the recipe's electron group): ESM bundles cannot require it.
+function darculaRuntime(options, electron) {
+  // ESM main bundles have no require; process.getBuiltinModule appeared in Node 22.3 (Electron 32).
+  const load =
+    typeof require === "function"
+      ? require
+      : typeof process.getBuiltinModule === "function"
+        ? (name) => process.getBuiltinModule(name)
+        : null;
+  if (!load) {
+    console.warn("codex-darcula: no require or process.getBuiltinModule (needs Electron 32+); theme not applied");
+    return () => {};
+  }
+  const fs = load("fs");
+  const os = load("os");
+  const path = load("path");
+  const configDir =
+    process.env.CODEX_DARCULA_CONFIG_DIR ||
+    path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "codex-darcula");
+  const cssPath = path.join(configDir, "theme.css");
+  const palettePath = path.join(configDir, "theme.json");
+  const inserted = new Map();
+  let scheme = currentScheme();
+  let css = readCss();
+  let reloadTimer = null;
+  let watching = false;
+
+  function currentScheme() {
+    try {
+      return electron.nativeTheme.shouldUseDarkColors ? "dark" : "light";
+    } catch {
+      return "dark";
+    }
+  }
+
+  // Falls back to the only variant when the theme has none for the current scheme.
+  function activeVariant() {
+    const type = options.variants[scheme] ? scheme : Object.keys(options.variants)[0];
+    return { type, ...options.variants[type] };
+  }
+
+  function cssVar(token) {
+    return options.varPrefix + token.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`);
+  }
+
+  // theme.json is user-editable and lands in a stylesheet verbatim, so only plain token names and colors get through.
+  function paletteLines(group, prefix) {
+    const lines = [];
+    for (const [token, value] of Object.entries(group || {})) {
+      const color = typeof value === "string" ? value.trim() : "";
+      const valid =
+        /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) ||
+        /^(?:rgba?|hsla?)\([\d\s.,%/+-]*\)$/i.test(color) ||
+        /^[a-z]+$/i.test(color);
+      if (/^[A-Za-z]+$/.test(token) && valid) {
+        lines.push(`${cssVar(prefix + token)}: ${color};`);
+      } else {
+        console.warn(`codex-darcula: ignoring ${prefix}${token} in ${palettePath}: ${JSON.stringify(value)}`);
+      }
+    }
+    return lines;
+  }
+
+  function paletteCss(palette, baseCss) {
+    const lines = [...paletteLines(palette.colors, ""), ...paletteLines(palette.syntax, "syntax-")];
+    const colorScheme = /^(light|dark)$/.test(palette.type || "")
+      ? `:root,html,body,#root{color-scheme:${palette.type} !important}`
+      : "";
+    return `${baseCss}\n:root{${lines.join("")}}\n${colorScheme}`;
+  }
+
+  // A paired theme.css declares the background in each prefers-color-scheme block: take the current scheme's one.
+  function backgroundOf(text) {
+    const matches = Array.from(text.matchAll(new RegExp(`${cssVar("background")}\\s*:\\s*([^;}!]+)`, "g")));
+    const block = text.search(new RegExp(`prefers-color-scheme\\s*:\\s*${scheme}\\b`));
+    const match = block >= 0 ? matches.find((item) => item.index > block) : matches[matches.length - 1];
+    return match ? match[1].trim() : activeVariant().background;
+  }
+
+  function paintBackground(win) {
+    try {
+      if (!win.isDestroyed()) {
+        win.setBackgroundColor(backgroundOf(css));
+      }
+    } catch {}
+  }
+
+  function readFile(filePath) {
+    try {
+      return fs.readFileSync(filePath, "utf8");
+    } catch {
+      return null;
+    }
+  }
+
+  // theme.css replaces every variant; a theme.json palette with a "type" only overrides the variant of that type.
+  function readCss() {
+    const fileCss = readFile(cssPath);
+    if (fileCss !== null) {
+      return fileCss;
+    }
+    const variant = activeVariant();
+    const palette = readFile(palettePath);
+    if (palette !== null) {
+      try {
+        const parsed = JSON.parse(palette);
+        if (!parsed.type || parsed.type === variant.type) {
+          return paletteCss(parsed, variant.css);
+        }
+      } catch (error) {
+        console.warn(`codex-darcula: ignoring ${palettePath}: ${error.message}`);
+      }
+    }
+    return variant.css;
+  }
+
+  function applyTo(wc, freshDocument) {
+    if (!wc || wc.isDestroyed()) {
+      return;
+    }
+    const previous = freshDocument ? Promise.resolve(null) : inserted.get(wc) || Promise.resolve(null);
+    const next = previous
+      .then((oldKey) => {
+        if (wc.isDestroyed()) {
+          return null;
+        }
+        return wc.insertCSS(css).then((key) => {
+          if (oldKey) {
+            wc.removeInsertedCSS(oldKey).catch(() => {});
+          }
+          return key;
+        });
+      })
+      .catch(() => null);
+    inserted.set(wc, next);
+  }
+
+  function repaintAll() {
+    try {
+      for (const win of electron.BrowserWindow.getAllWindows()) {
+        track(win);
+        paintBackground(win);
+      }
+    } catch {}
+  }
+
+  function reload() {
+    const next = readCss();
+    if (next === css) {
+      return false;
+    }
+    css = next;
+    repaintAll();
+    for (const wc of inserted.keys()) {
+      applyTo(wc, false);
+    }
+    return true;
+  }
+
+  function watch() {
+    if (watching) {
+      return;
+    }
+    watching = true;
+    const onChange = () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reload, 150);
+    };
+    for (const filePath of [cssPath, palettePath]) {
+      fs.watchFile(filePath, { interval: 1000, persistent: false }, onChange);
+    }
+    try {
+      electron.nativeTheme.on("updated", () => {
+        const next = currentScheme();
+        if (next !== scheme) {
+          scheme = next;
+          // A paired theme.css does not change with the scheme, but the background it declares does.
+          if (!reload()) {
+            repaintAll();
+          }
+        }
+      });
+    } catch {}
+  }
+
+  function track(win) {
+    if (!win || win.isDestroyed()) {
+      return;
+    }
+    const wc = win.webContents;
+    if (!wc || wc.isDestroyed() || inserted.has(wc)) {
+      return;
+    }
+    paintBackground(win);
+    inserted.set(wc, Promise.resolve(null));
+    wc.on("dom-ready", () => applyTo(wc, true));
+    wc.once("destroyed", () => inserted.delete(wc));
+    if (!wc.isLoadingMainFrame()) {
+      applyTo(wc, true);
+    }
+    watch();
+  }
+
+  return track;
+}
+
+// Comment lines and indentation only add weight to the patched bundle; line breaks stay so ASI keeps working.
+const RUNTIME_SOURCE = darculaRuntime
+  .toString()
+  .split("\n")
+  .map((line) => line.trim())
+  .filter((line) => line && !line.startsWith("//"))
+  .join("\n");
+
+function buildHelperCode(variants, marker) {
+  const options = {
+    variants: Object.fromEntries(
+      Object.entries(variants).map(([type, theme]) => [
+        type,
+        { css: `${marker}${buildThemeCss(theme)}`, background: theme.colors.background },
+      ]),
+    ),
+    varPrefix: CSS_VAR_PREFIX,
+  };
+  return (
+    `const cdpDarculaOptions=${JSON.stringify(options)};let cdpDarculaTrack=null;` +
+    "function cdpApplyDarcula(win,electron){try{" +
+    `cdpDarculaTrack=cdpDarculaTrack||(${RUNTIME_SOURCE})(cdpDarculaOptions,electron);cdpDarculaTrack(win);` +
+    '}catch(error){console.warn("codex-darcula:",error)}}'
+  );
+}
+
+module.exports = {
+  buildHelperCode,
+};
@@ -0,0 +1,517 @@
+const fs = require("fs");
+const { parseXml, childElements, textContent, escapeXml } = require("./xml");
+
+const BINARY_MAGIC = "bplist00";
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+const ASAR_INTEGRITY_KEY = "ElectronAsarIntegrity";
+
+const XML_HEADER =
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n' +
+  '<plist version="1.0">\n';
+
+// Plist values map to JS as: dict -> Map (keeps key order), array -> Array, string -> string,
+// integer -> number (BigInt outside the safe range), real -> PlistReal, date -> Date, data -> Buffer,
+// boolean -> boolean; binary-only types: uid -> PlistUid, set -> Set, null -> null.
+class PlistReal {
+  constructor(value) {
+    this.value = value;
+  }
+
+  valueOf() {
+    return this.value;
+  }
+}
+
+class PlistUid {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+function toInteger(text) {
+  const trimmed = text.trim();
+  if (!/^[+-]?(\d+|0x[0-9a-f]+)$/i.test(trimmed)) {
+    throw new Error(`Invalid plist integer: ${trimmed}`);
+  }
+  const big = trimmed.startsWith("-") ? -BigInt(trimmed.slice(1)) : BigInt(trimmed.replace(/^\+/, ""));
+  return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+}
+
+function parseXmlNode(node) {
+  switch (node.name) {
+    case "dict": {
+      const out = new Map();
+      const children = childElements(node);
+      for (let i = 0; i < children.length; i += 2) {
+        if (children[i].name !== "key" || !children[i + 1]) {
+          throw new Error("Invalid plist dict: expected <key> followed by a value");
+        }
+        out.set(textContent(children[i]), parseXmlNode(children[i + 1]));
+      }
+      return out;
+    }
+    case "array":
+      return childElements(node).map(parseXmlNode);
+    case "string":
+      return textContent(node);
+    case "integer":
+      return toInteger(textContent(node));
+    case "real":
+      return new PlistReal(Number(textContent(node).trim()));
+    case "true":
+      return true;
+    case "false":
+      return false;
+    case "date":
+      return new Date(textContent(node).trim());
+    case "data":
+      return Buffer.from(textContent(node).replace(/\s+/g, ""), "base64");
+    default:
+      throw new Error(`Unsupported plist element <${node.name}>`);
+  }
+}
+
+function parseXmlPlist(text) {
+  const root = parseXml(text);
+  if (root.name !== "plist") {
+    throw new Error(`Expected <plist> root element, found <${root.name}>`);
+  }
+  const [top] = childElements(root);
+  if (!top) {
+    throw new Error("Empty plist");
+  }
+  return parseXmlNode(top);
+}
+
+function entriesOf(dict) {
+  return dict instanceof Map ? Array.from(dict.entries()) : Object.entries(dict);
+}
+
+function isDict(value) {
+  return value instanceof Map || (value !== null && typeof value === "object" && value.constructor === Object);
+}
+
+function formatDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function buildXmlNode(value, indent) {
+  const pad = "\t".repeat(indent);
+
+  if (isDict(value)) {
+    const entries = entriesOf(value);
+    if (entries.length === 0) {
+      return `${pad}<dict/>\n`;
+    }
+    const body = entries
+      .map(([key, item]) => `${pad}\t<key>${escapeXml(key)}</key>\n${buildXmlNode(item, indent + 1)}`)
+      .join("");
+    return `${pad}<dict>\n${body}${pad}</dict>\n`;
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return `${pad}<array/>\n`;
+    }
+    return `${pad}<array>\n${value.map((item) => buildXmlNode(item, indent + 1)).join("")}${pad}</array>\n`;
+  }
+  if (typeof value === "string") {
+    return `${pad}<string>${escapeXml(value)}</string>\n`;
+  }
+  if (typeof value === "boolean") {
+    return `${pad}<${value}/>\n`;
+  }
+  if (typeof value === "bigint" || (typeof value === "number" && Number.isInteger(value))) {
+    return `${pad}<integer>${value}</integer>\n`;
+  }
+  if (value instanceof PlistReal || typeof value === "number") {
+    return `${pad}<real>${Number(value)}</real>\n`;
+  }
+  if (value instanceof Date) {
+    return `${pad}<date>${formatDate(value)}</date>\n`;
+  }
+  if (Buffer.isBuffer(value)) {
+    const lines = value.toString("base64").match(/.{1,68}/g) || [];
+    return `${pad}<data>\n${lines.map((line) => `${pad}${line}\n`).join("")}${pad}</data>\n`;
+  }
+  throw new Error(`Cannot write ${describeType(value)} to an XML plist`);
+}
+
+function describeType(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (value instanceof PlistUid) {
+    return "UID";
+  }
+  if (value instanceof Set) {
+    return "set";
+  }
+  return typeof value;
+}
+
+function buildXmlPlist(value) {
+  return Buffer.from(`${XML_HEADER}${buildXmlNode(value, 0)}</plist>\n`, "utf8");
+}
+
+function readSizedInt(buffer, offset, size) {
+  switch (size) {
+    case 1:
+      return buffer.readUInt8(offset);
+    case 2:
+      return buffer.readUInt16BE(offset);
+    case 4:
+      return buffer.readUInt32BE(offset);
+    case 8: {
+      const big = buffer.readBigUInt64BE(offset);
+      return big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+    }
+    default:
+      throw new Error(`Unsupported integer size ${size}`);
+  }
+}
+
+function parseBinaryPlist(buffer) {
+  if (buffer.length < 40 || buffer.toString("latin1", 0, 8) !== BINARY_MAGIC) {
+    throw new Error("Invalid binary plist header");
+  }
+
+  const trailer = buffer.length - 32;
+  const offsetSize = buffer.readUInt8(trailer + 6);
+  const refSize = buffer.readUInt8(trailer + 7);
+  const objectCount = Number(buffer.readBigUInt64BE(trailer + 8));
+  const topObject = Number(buffer.readBigUInt64BE(trailer + 16));
+  const offsetTable = Number(buffer.readBigUInt64BE(trailer + 24));
+
+  if (offsetTable + objectCount * offsetSize > trailer || topObject >= objectCount) {
+    throw new Error("Invalid binary plist trailer");
+  }
+
+  const offsets = [];
+  for (let i = 0; i < objectCount; i += 1) {
+    offsets.push(readSizedInt(buffer, offsetTable + i * offsetSize, offsetSize));
+  }
+
+  const parsing = new Set();
+
+  const readLength = (info, offset) => {
+    if (info !== 0xf) {
+      return { length: info, start: offset + 1 };
+    }
+    const marker = buffer.readUInt8(offset + 1);
+    if (marker >> 4 !== 0x1) {
+      throw new Error("Invalid binary plist length marker");
+    }
+    const size = 1 << (marker & 0xf);
+    return { length: Number(readSizedInt(buffer, offset + 2, size)), start: offset + 2 + size };
+  };
+
+  const readRefs = (start, count) => {
+    const refs = [];
+    for (let i = 0; i < count; i += 1) {
+      refs.push(readSizedInt(buffer, start + i * refSize, refSize));
+    }
+    return refs;
+  };
+
+  const readObject = (ref) => {
+    if (ref >= objectCount) {
+      throw new Error(`Invalid binary plist object reference ${ref}`);
+    }
+    if (parsing.has(ref)) {
+      throw new Error("Binary plist contains a reference cycle");
+    }
+    parsing.add(ref);
+    try {
+      return readObjectAt(offsets[ref]);
+    } finally {
+      parsing.delete(ref);
+    }
+  };
+
+  const readObjectAt = (offset) => {
+    const marker = buffer.readUInt8(offset);
+    const type = marker >> 4;
+    const info = marker & 0xf;
+
+    switch (type) {
+      case 0x0:
+        if (marker === 0x00) {
+          return null;
+        }
+        if (marker === 0x08 || marker === 0x09) {
+          return marker === 0x09;
+        }
+        throw new Error(`Unsupported binary plist marker 0x${marker.toString(16)}`);
+      case 0x1: {
+        const size = 1 << info;
+        if (size === 8) {
+          const big = buffer.readBigInt64BE(offset + 1);
+          return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+        }
+        if (size === 16) {
+          const big = (buffer.readBigUInt64BE(offset + 1) << 64n) | buffer.readBigUInt64BE(offset + 9);
+          return big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+        }
+        return readSizedInt(buffer, offset + 1, size);
+      }
+      case 0x2:
+        if (info === 2) {
+          return new PlistReal(buffer.readFloatBE(offset + 1));
+        }
+        if (info === 3) {
+          return new PlistReal(buffer.readDoubleBE(offset + 1));
+        }
+        throw new Error(`Unsupported binary plist real size ${1 << info}`);
+      case 0x3:
+        return new Date(APPLE_EPOCH_MS + buffer.readDoubleBE(offset + 1) * 1000);
+      case 0x4: {
+        const { length, start } = readLength(info, offset);
+        return Buffer.from(buffer.subarray(start, start + length));
+      }
+      case 0x5: {
+        const { length, start } = readLength(info, offset);
+        return buffer.toString("latin1", start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = readLength(info, offset);
+        const swapped = Buffer.from(buffer.subarray(start, start + length * 2)).swap16();
+        return swapped.toString("utf16le");
+      }
+      case 0x8:
+        return new PlistUid(Number(readSizedInt(buffer, offset + 1, info + 1)));
+      case 0xa:
+      case 0xc: {
+        const { length, start } = readLength(info, offset);
+        const items = readRefs(start, length).map(readObject);
+        return type === 0xc ? new Set(items) : items;
+      }
+      case 0xd: {
+        const { length, start } = readLength(info, offset);
+        const keyRefs = readRefs(start, length);
+        const valueRefs = readRefs(start + length * refSize, length);
+        const out = new Map();
+        keyRefs.forEach((keyRef, i) => {
+          const key = readObject(keyRef);
+          if (typeof key !== "string") {
+            throw new Error("Binary plist dict key is not a string");
+          }
+          out.set(key, readObject(valueRefs[i]));
+        });
+        return out;
+      }
+      default:
+        throw new Error(`Unsupported binary plist marker 0x${marker.toString(16)}`);
+    }
+  };
+
+  return readObject(topObject);
+}
+
+function bytesForCount(count) {
+  if (count < 0x100) {
+    return 1;
+  }
+  if (count < 0x10000) {
+    return 2;
+  }
+  return count < 0x100000000 ? 4 : 8;
+}
+
+function writeSizedInt(value, size) {
+  const out = Buffer.alloc(size);
+  if (size === 1) {
+    out.writeUInt8(value);
+  } else if (size === 2) {
+    out.writeUInt16BE(value);
+  } else if (size === 4) {
+    out.writeUInt32BE(value);
+  } else {
+    out.writeBigUInt64BE(BigInt(value));
+  }
+  return out;
+}
+
+function encodeBinaryInt(value) {
+  const big = BigInt(value);
+  if (big < 0n) {
+    const out = Buffer.alloc(9);
+    out.writeUInt8(0x13);
+    out.writeBigInt64BE(big, 1);
+    return out;
+  }
+  if (big > 0xffffffffffffffffn) {
+    throw new Error(`Integer too large for a binary plist: ${big}`);
+  }
+  if (big > 0x7fffffffffffffffn) {
+    const out = Buffer.alloc(17);
+    out.writeUInt8(0x14);
+    out.writeBigUInt64BE(big, 9);
+    return out;
+  }
+  const size = big < 0x100n ? 1 : big < 0x10000n ? 2 : big < 0x100000000n ? 4 : 8;
+  return Buffer.concat([Buffer.from([0x10 | Math.log2(size)]), writeSizedInt(size === 8 ? big : Number(big), size)]);
+}
+
+function encodeMarker(type, length) {
+  if (length < 0xf) {
+    return Buffer.from([(type << 4) | length]);
+  }
+  return Buffer.concat([Buffer.from([(type << 4) | 0xf]), encodeBinaryInt(length)]);
+}
+
+function buildBinaryPlist(value) {
+  const objects = [];
+
+  const flattenObject = (item) => {
+    const index = objects.length;
+    const entry = { value: item, refs: null };
+    objects.push(entry);
+    if (isDict(item)) {
+      const entries = entriesOf(item);
+      const keyRefs = entries.map(([key]) => flattenObject(key));
+      const valueRefs = entries.map(([, child]) => flattenObject(child));
+      entry.refs = [...keyRefs, ...valueRefs];
+    } else if (Array.isArray(item) || item instanceof Set) {
+      entry.refs = Array.from(item).map(flattenObject);
+    }
+    return index;
+  };
+
+  flattenObject(value);
+  const refSize = bytesForCount(objects.length);
+
+  const encodeObject = ({ value: item, refs }) => {
+    const refBytes = refs ? Buffer.concat(refs.map((ref) => writeSizedInt(ref, refSize))) : null;
+    if (item === null) {
+      return Buffer.from([0x00]);
+    }
+    if (typeof item === "boolean") {
+      return Buffer.from([item ? 0x09 : 0x08]);
+    }
+    if (typeof item === "bigint" || (typeof item === "number" && Number.isInteger(item))) {
+      return encodeBinaryInt(item);
+    }
+    if (item instanceof PlistReal || typeof item === "number") {
+      const out = Buffer.alloc(9);
+      out.writeUInt8(0x23);
+      out.writeDoubleBE(Number(item), 1);
+      return out;
+    }
+    if (item instanceof Date) {
+      const out = Buffer.alloc(9);
+      out.writeUInt8(0x33);
+      out.writeDoubleBE((item.getTime() - APPLE_EPOCH_MS) / 1000, 1);
+      return out;
+    }
+    if (Buffer.isBuffer(item)) {
+      return Buffer.concat([encodeMarker(0x4, item.length), item]);
+    }
+    if (typeof item === "string") {
+      if (/^[\x00-\x7f]*$/.test(item)) {
+        return Buffer.concat([encodeMarker(0x5, item.length), Buffer.from(item, "latin1")]);
+      }
+      const utf16 = Buffer.from(item, "utf16le").swap16();
+      return Buffer.concat([encodeMarker(0x6, utf16.length / 2), utf16]);
+    }
+    if (item instanceof PlistUid) {
+      const size = bytesForCount(item.value);
+      return Buffer.concat([Buffer.from([0x80 | (size - 1)]), writeSizedInt(item.value, size)]);
+    }
+    if (Array.isArray(item) || item instanceof Set) {
+      return Buffer.concat([encodeMarker(Array.isArray(item) ? 0xa : 0xc, refs.length), refBytes]);
+    }
+    if (isDict(item)) {
+      return Buffer.concat([encodeMarker(0xd, refs.length / 2), refBytes]);
+    }
+    throw new Error(`Cannot write ${describeType(item)} to a binary plist`);
+  };
+
+  const chunks = [Buffer.from(BINARY_MAGIC, "latin1")];
+  const offsets = [];
+  let position = chunks[0].length;
+  for (const object of objects) {
+    const encoded = encodeObject(object);
+    offsets.push(position);
+    chunks.push(encoded);
+    position += encoded.length;
+  }
+
+  const offsetSize = bytesForCount(position);
+  const offsetTable = position;
+  chunks.push(Buffer.concat(offsets.map((offset) => writeSizedInt(offset, offsetSize))));
+
+  const trailer = Buffer.alloc(32);
+  trailer.writeUInt8(offsetSize, 6);
+  trailer.writeUInt8(refSize, 7);
+  trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+  trailer.writeBigUInt64BE(0n, 16);
+  trailer.writeBigUInt64BE(BigInt(offsetTable), 24);
+  chunks.push(trailer);
+
+  return Buffer.concat(chunks);
+}
+
+function parsePlist(buffer) {
+  if (buffer.length >= 8 && buffer.toString("latin1", 0, 8) === BINARY_MAGIC) {
+    return { format: "binary", value: parseBinaryPlist(buffer) };
+  }
+  return { format: "xml", value: parseXmlPlist(buffer.toString("utf8")) };
+}
+
+function buildPlist(value, format = "xml") {
+  if (format === "binary") {
+    return buildBinaryPlist(value);
+  }
+  if (format === "xml") {
+    return buildXmlPlist(value);
+  }
+  throw new Error(`Unknown plist format: ${format}`);
+}
+
+function readPlistFile(filePath) {
+  try {
+    return parsePlist(fs.readFileSync(filePath));
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+function writePlistFile(filePath, value, format) {
+  fs.writeFileSync(filePath, buildPlist(value, format));
+}
+
+function listAsarIntegrity(plist) {
+  const integrity = plist instanceof Map ? plist.get(ASAR_INTEGRITY_KEY) : null;
+  if (!(integrity instanceof Map)) {
+    return [];
+  }
+  return Array.from(integrity.entries())
+    .filter(([, entry]) => entry instanceof Map)
+    .map(([key, entry]) => ({ key, algorithm: entry.get("algorithm"), hash: entry.get("hash") }));
+}
+
+function getAsarIntegrityHash(plist, asarKey) {
+  const entry = listAsarIntegrity(plist).find((item) => item.key === asarKey);
+  if (!entry || typeof entry.hash !== "string") {
+    throw new Error(`Info.plist has no ${ASAR_INTEGRITY_KEY} hash for ${asarKey}`);
+  }
+  return entry.hash;
+}
+
+function setAsarIntegrityHash(plist, asarKey, hash) {
+  getAsarIntegrityHash(plist, asarKey);
+  plist.get(ASAR_INTEGRITY_KEY).get(asarKey).set("hash", hash);
+}
+
+module.exports = {
+  PlistReal,
+  PlistUid,
+  parsePlist,
+  buildPlist,
+  readPlistFile,
+  writePlistFile,
+  listAsarIntegrity,
+  getAsarIntegrityHash,
+  setAsarIntegrityHash,
+};
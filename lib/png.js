@@ -0,0 +1,195 @@
+const zlib = require("zlib");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) {
+    return left;
+  }
+  return pb <= pc ? up : upLeft;
+}
+
+function unfilter(raw, width, height, bpp) {
+  const stride = width * bpp;
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= bpp ? out[row + x - bpp] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+      let value = line[x];
+      if (filter === 1) {
+        value += left;
+      } else if (filter === 2) {
+        value += up;
+      } else if (filter === 3) {
+        value += (left + up) >> 1;
+      } else if (filter === 4) {
+        value += paeth(left, up, upLeft);
+      } else if (filter !== 0) {
+        throw new Error(`Unsupported PNG filter ${filter} in row ${y}`);
+      }
+      out[row + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG file");
+  }
+
+  let header = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) {
+    throw new Error("PNG has no IHDR chunk");
+  }
+  const channels = CHANNELS_BY_COLOR_TYPE[header.colorType];
+  if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error(
+      `Unsupported PNG (bit depth ${header.bitDepth}, color type ${header.colorType}, interlace ${header.interlace})`,
+    );
+  }
+
+  const { width, height } = header;
+  const pixels = unfilter(zlib.inflateSync(Buffer.concat(idat)), width, height, channels);
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i += 1) {
+    const source = pixels.subarray(i * channels, (i + 1) * channels);
+    const gray = channels <= 2;
+    data[i * 4] = source[0];
+    data[i * 4 + 1] = gray ? source[0] : source[1];
+    data[i * 4 + 2] = gray ? source[0] : source[2];
+    data[i * 4 + 3] = channels === 2 || channels === 4 ? source[channels - 1] : 255;
+  }
+  return { width, height, data };
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Pixels whose RGBA distance exceeds `threshold` are painted red over a faded copy of the baseline.
+function diffImages(baseline, actual, threshold = 0) {
+  const width = Math.max(baseline.width, actual.width);
+  const height = Math.max(baseline.height, actual.height);
+  const data = Buffer.alloc(width * height * 4);
+  let mismatched = 0;
+
+  const pixelAt = (image, x, y) => {
+    if (x >= image.width || y >= image.height) {
+      return null;
+    }
+    const offset = (y * image.width + x) * 4;
+    return image.data.subarray(offset, offset + 4);
+  };
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const a = pixelAt(baseline, x, y);
+      const b = pixelAt(actual, x, y);
+      const offset = (y * width + x) * 4;
+      const distance =
+        a && b ? Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2 + (a[3] - b[3]) ** 2) : Infinity;
+      if (distance > threshold) {
+        mismatched += 1;
+        data[offset] = 255;
+        data[offset + 3] = 255;
+        continue;
+      }
+      const gray = Math.round(0.299 * a[0] + 0.587 * a[1] + 0.114 * a[2]);
+      const faded = Math.round(255 - (255 - gray) * 0.25);
+      data[offset] = faded;
+      data[offset + 1] = faded;
+      data[offset + 2] = faded;
+      data[offset + 3] = 255;
+    }
+  }
+
+  const total = width * height;
+  return {
+    image: { width, height, data },
+    mismatched,
+    total,
+    percent: total === 0 ? 0 : (mismatched / total) * 100,
+    sizeMatches: baseline.width === actual.width && baseline.height === actual.height,
+  };
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+  diffImages,
+};
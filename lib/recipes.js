@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+const { getUserRecipesDir } = require("./config");
+
+const BUILTIN_RECIPES_DIR = path.join(__dirname, "..", "recipes");
+const DEFAULT_BUNDLE_GLOB = ".vite/build/main-*.js";
+
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i += 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function parseVersion(version) {
+  return String(version)
+    .split(/[.+-]/)
+    .slice(0, 3)
+    .map((part) => (/^\d+$/.test(part) ? Number(part) : part));
+}
+
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i += 1) {
+    const l = left[i] === undefined ? 0 : left[i];
+    const r = right[i] === undefined ? 0 : right[i];
+    if (l !== r) {
+      return l < r ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function matchesComparator(comparator, version) {
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(comparator);
+  const operator = match[1] || "=";
+  const expected = match[2];
+
+  if (/(^|\.)(x|\*)(\.|$)/i.test(expected)) {
+    const wanted = expected.split(".");
+    const actual = String(version).split(".");
+    return wanted.every((part, i) => /^(x|\*)$/i.test(part) || part === actual[i]);
+  }
+
+  const cmp = compareVersions(version, expected);
+  switch (operator) {
+    case ">=":
+      return cmp >= 0;
+    case "<=":
+      return cmp <= 0;
+    case ">":
+      return cmp > 0;
+    case "<":
+      return cmp < 0;
+    default:
+      return cmp === 0;
+  }
+}
+
+function matchesVersion(range, version) {
+  const ranges = Array.isArray(range) ? range : [range];
+  return ranges.some((item) => {
+    const comparators = String(item).trim().split(/\s+/);
+    if (comparators.length === 1 && comparators[0] === "*") {
+      return true;
+    }
+    return Boolean(version) && comparators.every((comparator) => matchesComparator(comparator, version));
+  });
+}
+
+function isWildcardRecipe(recipe) {
+  const ranges = Array.isArray(recipe.codexVersions) ? recipe.codexVersions : [recipe.codexVersions];
+  return ranges.includes("*");
+}
+
+function compileRecipe(raw, source) {
+  if (!raw || typeof raw !== "object" || typeof raw.id !== "string" || !raw.id) {
+    throw new Error(`Recipe ${source} must have an "id"`);
+  }
+  if (!Array.isArray(raw.anchors) || raw.anchors.length === 0) {
+    throw new Error(`Recipe ${raw.id} (${source}) must define "anchors"`);
+  }
+
+  const anchors = raw.anchors.map((anchor, index) => {
+    if (!anchor || typeof anchor.pattern !== "string" || typeof anchor.replace !== "string") {
+      throw new Error(`Recipe ${raw.id} anchor #${index + 1} needs "pattern" and "replace"`);
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(anchor.pattern, `${(anchor.flags || "").replace("g", "")}g`);
+    } catch (error) {
+      throw new Error(`Recipe ${raw.id} anchor #${index + 1} has an invalid pattern: ${error.message}`);
+    }
+    const name = anchor.name || `anchor${index + 1}`;
+    return {
+      name,
+      description: anchor.description || name,
+      pattern,
+      replace: anchor.replace,
+    };
+  });
+
+  const bundle = raw.bundle || DEFAULT_BUNDLE_GLOB;
+
+  return {
+    id: raw.id,
+    description: raw.description || "",
+    codexVersions: raw.codexVersions || "*",
+    bundle,
+    bundlePattern: globToRegExp(bundle),
+    anchors,
+    verify: Array.isArray(raw.verify) ? raw.verify : [],
+    source,
+  };
+}
+
+function readRecipeDir(dir, origin) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => {
+      const source = path.join(dir, name);
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(source, "utf8"));
+      } catch (error) {
+        throw new Error(`Could not read recipe ${source}: ${error.message}`);
+      }
+      return { ...compileRecipe(raw, source), origin };
+    });
+}
+
+function loadRecipes() {
+  return [...readRecipeDir(getUserRecipesDir(), "user"), ...readRecipeDir(BUILTIN_RECIPES_DIR, "builtin")];
+}
+
+function selectRecipes(recipes, version) {
+  return recipes
+    .filter((recipe) => matchesVersion(recipe.codexVersions, version))
+    .map((recipe, order) => ({ recipe, order }))
+    .sort((a, b) => {
+      const rank = (recipe) => (recipe.origin === "user" ? 0 : 2) + (isWildcardRecipe(recipe) ? 1 : 0);
+      return rank(a.recipe) - rank(b.recipe) || a.order - b.order;
+    })
+    .map(({ recipe }) => recipe);
+}
+
+function findAnchorMatches(sourceText, anchor) {
+  return Array.from(sourceText.matchAll(anchor.pattern), (match) => ({
+    index: match.index,
+    text: match[0],
+    groups: { ...match.groups },
+  }));
+}
+
+function describeMatches(bundlePath, matches) {
+  return matches.map((match) => `${bundlePath}@${match.index}: ${match.text.slice(0, 80)}`).join("\n  ");
+}
+
+function resolveRecipe(recipe, fileMap, marker) {
+  const candidates = Array.from(fileMap.keys())
+    .filter((relPath) => recipe.bundlePattern.test(relPath))
+    .sort();
+  if (candidates.length === 0) {
+    throw new Error(`no bundles match ${recipe.bundle}`);
+  }
+
+  const scanned = candidates.map((bundlePath) => {
+    const sourceText = fileMap.get(bundlePath).toString("utf8");
+    const anchors = {};
+    for (const anchor of recipe.anchors) {
+      anchors[anchor.name] = findAnchorMatches(sourceText, anchor);
+    }
+    return { recipe, bundlePath, sourceText, patched: sourceText.includes(marker), anchors };
+  });
+
+  const patched = scanned.filter((bundle) => bundle.patched);
+  if (patched.length === 1) {
+    return patched[0];
+  }
+  if (patched.length > 1) {
+    throw new Error(`patch marker found in several bundles: ${patched.map((bundle) => bundle.bundlePath).join(", ")}`);
+  }
+
+  const problems = [];
+  for (const anchor of recipe.anchors) {
+    const hits = scanned.filter((bundle) => bundle.anchors[anchor.name].length > 0);
+    const total = hits.reduce((sum, bundle) => sum + bundle.anchors[anchor.name].length, 0);
+    if (total === 0) {
+      problems.push(`${anchor.description}: no match in ${candidates.join(", ")}`);
+    } else if (total > 1) {
+      const details = hits.map((bundle) => describeMatches(bundle.bundlePath, bundle.anchors[anchor.name]));
+      problems.push(`${anchor.description}: ${total} matches\n  ${details.join("\n  ")}`);
+    }
+  }
+
+  if (problems.length === 0) {
+    const owners = new Set(
+      recipe.anchors.map((anchor) => scanned.find((bundle) => bundle.anchors[anchor.name].length > 0).bundlePath),
+    );
+    if (owners.size > 1) {
+      problems.push(`anchors are split across bundles: ${Array.from(owners).join(", ")}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(problems.join("\n- "));
+  }
+
+  return scanned.find((bundle) => bundle.anchors[recipe.anchors[0].name].length === 1);
+}
+
+function resolveTarget(recipes, fileMap, version, marker) {
+  const candidates = selectRecipes(recipes, version);
+  if (candidates.length === 0) {
+    throw new Error(`No patch recipe matches Codex ${version || "(unknown version)"}`);
+  }
+
+  const failures = [];
+  for (const recipe of candidates) {
+    try {
+      return resolveRecipe(recipe, fileMap, marker);
+    } catch (error) {
+      failures.push(`recipe "${recipe.id}" (${recipe.source}):\n- ${error.message}`);
+    }
+  }
+
+  throw new Error(`Could not locate patch anchors for Codex ${version || "(unknown version)"}:\n${failures.join("\n")}`);
+}
+
+function expandTemplate(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(vars, name) || vars[name] === undefined) {
+      throw new Error(`Unknown template placeholder ${placeholder}`);
+    }
+    return vars[name];
+  });
+}
+
+function planRecipe(target, vars) {
+  const { recipe, bundlePath, sourceText, anchors } = target;
+  const groups = {};
+  const edits = recipe.anchors.map((anchor) => {
+    const matches = anchors[anchor.name];
+    if (matches.length !== 1) {
+      throw new Error(`Expected exactly one ${anchor.name} anchor in ${bundlePath}, found ${matches.length}`);
+    }
+    Object.assign(groups, matches[0].groups);
+    return { anchor, match: matches[0] };
+  });
+
+  const ordered = edits
+    .map(({ anchor, match }) => ({
+      name: anchor.name,
+      index: match.index,
+      remove: match.text.length,
+      insert: expandTemplate(anchor.replace, { ...vars, ...groups, ...match.groups, match: match.text }),
+    }))
+    .sort((a, b) => b.index - a.index);
+
+  for (let i = 1; i < ordered.length; i += 1) {
+    if (ordered[i].index + ordered[i].remove > ordered[i - 1].index) {
+      throw new Error(`Anchors ${ordered[i].name} and ${ordered[i - 1].name} overlap in ${bundlePath}`);
+    }
+  }
+
+  let patched = sourceText;
+  for (const edit of ordered) {
+    patched = patched.slice(0, edit.index) + edit.insert + patched.slice(edit.index + edit.remove);
+  }
+
+  for (const check of recipe.verify) {
+    const expected = expandTemplate(check, { ...vars, ...groups });
+    if (!patched.includes(expected)) {
+      throw new Error(`Patch verification failed (recipe "${recipe.id}"): missing ${expected.slice(0, 80)}`);
+    }
+  }
+
+  return { sourceText: patched, edits: ordered.reverse() };
+}
+
+module.exports = {
+  matchesVersion,
+  loadRecipes,
+  selectRecipes,
+  resolveTarget,
+  planRecipe,
+};
@@ -0,0 +1,61 @@
+const os = require("os");
+const path = require("path");
+const { buildPlist } = require("./plist");
+
+const LAUNCHD_LABEL = "io.github.codex-darcula-theme.watch";
+const SYSTEMD_UNIT_NAME = "codex-darcula-watch.service";
+
+function buildLaunchdAgent(programArguments) {
+  const logPath = path.join(os.homedir(), "Library", "Logs", "codex-darcula-watch.log");
+  const agent = new Map([
+    ["Label", LAUNCHD_LABEL],
+    ["ProgramArguments", programArguments],
+    ["RunAtLoad", true],
+    ["KeepAlive", new Map([["SuccessfulExit", false]])],
+    ["ThrottleInterval", 60],
+    ["ProcessType", "Background"],
+    ["StandardOutPath", logPath],
+    ["StandardErrorPath", logPath],
+  ]);
+  return buildPlist(agent, "xml");
+}
+
+function quoteSystemdArg(arg) {
+  if (/^[\w@+=:,./-]+$/.test(arg)) {
+    return arg;
+  }
+  return `"${arg.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/%/g, "%%")}"`;
+}
+
+function buildSystemdUnit(programArguments) {
+  return [
+    "[Unit]",
+    "Description=Re-apply the codex-darcula theme after Codex updates",
+    "",
+    "[Service]",
+    "Type=simple",
+    `ExecStart=${programArguments.map(quoteSystemdArg).join(" ")}`,
+    "Restart=on-failure",
+    "RestartSec=60",
+    "",
+    "[Install]",
+    "WantedBy=default.target",
+    "",
+  ].join("\n");
+}
+
+function getServiceInstallPath(kind) {
+  if (kind === "launchd") {
+    return path.join(os.homedir(), "Library", "LaunchAgents", `${LAUNCHD_LABEL}.plist`);
+  }
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "systemd", "user", SYSTEMD_UNIT_NAME);
+}
+
+module.exports = {
+  LAUNCHD_LABEL,
+  SYSTEMD_UNIT_NAME,
+  buildLaunchdAgent,
+  buildSystemdUnit,
+  getServiceInstallPath,
+};
@@ -0,0 +1,585 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeColor, mix } = require("./color");
+const { isGenericFamily } = require("./fonts");
+const { importIcls, importIntellijTheme } = require("./import-intellij");
+const { importVscodeTheme } = require("./import-vscode");
+
+const THEMES_DIR = path.join(__dirname, "..", "themes");
+const DEFAULT_THEME = "darcula";
+const CSS_VAR_PREFIX = "--cdp-darcula-";
+
+const THEME_TYPES = ["dark", "light"];
+const MAX_EXTENDS_DEPTH = 8;
+
+// IntelliJ UI themes share the *.theme.json suffix with plain themes saved under that name; only their content tells.
+function isIntellijUiTheme(text) {
+  try {
+    const raw = JSON.parse(text);
+    return Boolean(raw) && typeof raw.dark === "boolean" && Boolean(raw.ui || raw.colors);
+  } catch {
+    return false;
+  }
+}
+
+const THEME_FORMATS = [
+  {
+    name: "intellij-ui-theme",
+    matches: (filePath, text) => isIntellijUiTheme(text),
+    read: importIntellijTheme,
+  },
+  {
+    name: "intellij-scheme",
+    matches: (filePath, text) => filePath.endsWith(".icls") || (filePath.endsWith(".xml") && /<scheme[\s>]/.test(text)),
+    read: importIcls,
+  },
+  {
+    name: "vscode-theme",
+    matches: (filePath, text) =>
+      /\.jsonc$|[.-]color-theme\.json$/.test(filePath) ||
+      /"(tokenColors|include)"\s*:|"(editor|sideBar|activityBar|statusBar)\.[\w.]+"\s*:/.test(text),
+    read: importVscodeTheme,
+  },
+  {
+    name: "theme",
+    matches: () => true,
+    read: (text) => JSON.parse(text),
+  },
+];
+
+const COLOR_TOKENS = [
+  ["background", null],
+  ["foreground", null],
+  ["panel", (c) => mix(c.background, c.foreground, 0.08)],
+  ["border", (c) => mix(c.background, c.foreground, 0.2)],
+  ["controlBorder", (c) => mix(c.background, c.foreground, 0.28)],
+  ["hover", (c) => mix(c.panel, c.foreground, 0.12)],
+  ["accent", (c) => mix("#589df6", c.foreground, 0.1)],
+  ["accentHover", (c) => mix(c.accent, c.foreground, 0.25)],
+  ["codeBackground", (c) => mix(c.background, c.foreground, 0.03)],
+  ["selection", (c) => mix(c.background, c.accent, 0.4)],
+  ["selectionForeground", (c) => c.foreground],
+  ["scrollbar", (c) => c.controlBorder],
+  ["scrollbarTrack", (c) => c.background],
+  ["diffAdded", (c) => mix(c.background, "#3d9a50", 0.22)],
+  ["diffRemoved", (c) => mix(c.background, "#c94f4f", 0.22)],
+  ["diffChanged", (c) => mix(c.background, "#4a7fc1", 0.22)],
+];
+
+const COLOR_TOKEN_NAMES = COLOR_TOKENS.map(([name]) => name);
+
+const SYNTAX_SELECTORS = {
+  keyword: [".hljs-keyword", ".hljs-selector-tag"],
+  storage: [".hljs-built_in"],
+  string: [".hljs-string", ".hljs-template-string"],
+  number: [".hljs-number"],
+  comment: [".hljs-comment", ".hljs-quote"],
+  function: [".hljs-title.function_", ".hljs-function .hljs-title"],
+  type: [".hljs-type", ".hljs-title.class_", ".hljs-class .hljs-title"],
+  variable: [".hljs-variable", ".hljs-params", ".hljs-template-variable"],
+  constant: [".hljs-literal", ".hljs-symbol"],
+  tag: [".hljs-tag", ".hljs-name"],
+  attribute: [".hljs-attr", ".hljs-attribute"],
+  operator: [".hljs-operator"],
+  regexp: [".hljs-regexp"],
+};
+
+const SYNTAX_TOKEN_NAMES = Object.keys(SYNTAX_SELECTORS);
+
+// Typography option -> kind; sizes are px, lineHeight is unitless.
+const TYPOGRAPHY_OPTIONS = {
+  uiFont: "font",
+  monoFont: "font",
+  fontSize: "size",
+  codeFontSize: "size",
+  lineHeight: "ratio",
+  ligatures: "boolean",
+};
+const TYPOGRAPHY_LIMITS = { size: [6, 72], ratio: [0.8, 4] };
+const MONO_SELECTORS = ["pre", "code", "kbd", "samp", ".cm-content", ".hljs", ".shiki"];
+
+// Shiki's css-variables theme: each variable falls back through the listed syntax tokens.
+const SHIKI_VARIABLES = {
+  "--shiki-token-keyword": ["keyword", "storage"],
+  "--shiki-token-string": ["string"],
+  "--shiki-token-string-expression": ["string"],
+  "--shiki-token-constant": ["constant", "number"],
+  "--shiki-token-comment": ["comment"],
+  "--shiki-token-function": ["function"],
+  "--shiki-token-parameter": ["variable"],
+  "--shiki-token-punctuation": ["operator"],
+  "--shiki-token-link": ["string"],
+};
+
+// Shiki's bundled themes write token colors as inline styles (github-dark/light, dark-plus/light-plus),
+// so spans are matched by their stock color and repainted with the theme's token.
+const INLINE_TOKEN_COLORS = {
+  keyword: ["#f97583", "#d73a49", "#569cd6", "#c586c0", "#0000ff", "#af00db"],
+  string: ["#9ecbff", "#032f62", "#ce9178", "#a31515"],
+  number: ["#79b8ff", "#005cc5", "#b5cea8", "#098658"],
+  comment: ["#6a737d", "#6a9955", "#008000"],
+  function: ["#b392f0", "#6f42c1", "#dcdcaa", "#795e26"],
+  type: ["#4ec9b0", "#267f99"],
+  variable: ["#ffab70", "#e36209", "#9cdcfe", "#001080"],
+  tag: ["#85e89d", "#22863a"],
+  regexp: ["#d16969", "#811f3f"],
+};
+
+const DIFF_SELECTORS = {
+  diffAdded: [
+    ".hljs-addition",
+    ".line.diff.add",
+    ".d2h-ins",
+    ".diff-code-insert",
+    ".line-insert",
+    ".diff-line-added",
+    "[data-diff-type=\"add\"]",
+    "[data-line-type=\"add\"]",
+  ],
+  diffRemoved: [
+    ".hljs-deletion",
+    ".line.diff.remove",
+    ".d2h-del",
+    ".diff-code-delete",
+    ".line-delete",
+    ".diff-line-removed",
+    "[data-diff-type=\"remove\"]",
+    "[data-diff-type=\"delete\"]",
+    "[data-line-type=\"delete\"]",
+  ],
+  diffChanged: [".d2h-change", ".diff-line-modified", "[data-diff-type=\"change\"]", "[data-diff-type=\"modify\"]"],
+};
+
+function tokenToCssVar(token) {
+  return `${CSS_VAR_PREFIX}${token.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)}`;
+}
+
+function listBuiltinThemes() {
+  if (!fs.existsSync(THEMES_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(THEMES_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.slice(0, -".json".length))
+    .sort();
+}
+
+function resolveThemePath(spec, baseDir) {
+  const isBareName = !spec.includes("/") && !spec.includes("\\") && !path.extname(spec);
+  if (isBareName) {
+    const builtinPath = path.join(THEMES_DIR, `${spec}.json`);
+    if (fs.existsSync(builtinPath)) {
+      return builtinPath;
+    }
+  }
+
+  const filePath = path.resolve(baseDir || process.cwd(), spec);
+  if (fs.existsSync(filePath)) {
+    return filePath;
+  }
+
+  throw new Error(`Theme not found: ${spec} (built-in themes: ${listBuiltinThemes().join(", ")})`);
+}
+
+function resolveSyntax(syntax, source) {
+  const out = {};
+  for (const [name, value] of Object.entries(syntax || {})) {
+    if (!SYNTAX_TOKEN_NAMES.includes(name)) {
+      throw new Error(`Unknown syntax token "${name}" in ${source}`);
+    }
+    const normalized = normalizeColor(value);
+    if (!normalized) {
+      throw new Error(`Invalid syntax color for "${name}" in ${source}: ${value}`);
+    }
+    out[name] = normalized;
+  }
+  return Object.fromEntries(SYNTAX_TOKEN_NAMES.filter((name) => out[name]).map((name) => [name, out[name]]));
+}
+
+function parseFontStack(value) {
+  const families = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  return families
+    .map((family) => (typeof family === "string" ? family.trim().replace(/^(["'])(.*)\1$/, "$2").trim() : ""))
+    .filter(Boolean);
+}
+
+function resolveTypography(typography, source) {
+  const out = {};
+  for (const [name, value] of Object.entries(typography || {})) {
+    const kind = TYPOGRAPHY_OPTIONS[name];
+    if (!kind) {
+      throw new Error(`Unknown typography option "${name}" in ${source}`);
+    }
+    if (kind === "font") {
+      const families = parseFontStack(value);
+      if (families.length === 0 || families.some((family) => /[;{}]/.test(family))) {
+        throw new Error(`Invalid font family for "${name}" in ${source}: ${JSON.stringify(value)}`);
+      }
+      out[name] = families;
+    } else if (kind === "boolean") {
+      if (typeof value !== "boolean") {
+        throw new Error(`Typography option "${name}" in ${source} must be true or false`);
+      }
+      out[name] = value;
+    } else {
+      const [min, max] = TYPOGRAPHY_LIMITS[kind];
+      if (typeof value !== "number" || !(value >= min && value <= max)) {
+        throw new Error(`Typography option "${name}" in ${source} must be a number from ${min} to ${max}`);
+      }
+      out[name] = value;
+    }
+  }
+  return Object.fromEntries(
+    Object.keys(TYPOGRAPHY_OPTIONS)
+      .filter((name) => name in out)
+      .map((name) => [name, out[name]]),
+  );
+}
+
+function resolvePalette(colors, source) {
+  const palette = {};
+
+  for (const [name, value] of Object.entries(colors || {})) {
+    if (!COLOR_TOKEN_NAMES.includes(name)) {
+      throw new Error(`Unknown color token "${name}" in ${source}`);
+    }
+    const normalized = normalizeColor(value);
+    if (!normalized) {
+      throw new Error(`Invalid color for "${name}" in ${source}: ${value}`);
+    }
+    palette[name] = normalized;
+  }
+
+  for (const [name, fallback] of COLOR_TOKENS) {
+    if (palette[name]) {
+      continue;
+    }
+    if (!fallback) {
+      throw new Error(`Theme ${source} must define "${name}"`);
+    }
+    palette[name] = fallback(palette);
+  }
+
+  return Object.fromEntries(COLOR_TOKEN_NAMES.map((name) => [name, palette[name]]));
+}
+
+function resolveVariants(variants, type, source) {
+  const out = {};
+  for (const [name, spec] of Object.entries(variants || {})) {
+    if (!THEME_TYPES.includes(name)) {
+      throw new Error(`Unknown variant "${name}" in ${source} (expected ${THEME_TYPES.join(" or ")})`);
+    }
+    if (typeof spec !== "string" || !spec.trim()) {
+      throw new Error(`Variant "${name}" in ${source} must be a theme name or path`);
+    }
+    if (name !== type) {
+      out[name] = spec.trim();
+    }
+  }
+  return out;
+}
+
+function normalizeTheme(raw, source) {
+  if (!raw || typeof raw !== "object" || !raw.colors || typeof raw.colors !== "object") {
+    throw new Error(`Theme ${source} must be an object with a "colors" palette`);
+  }
+
+  const type = raw.type || "dark";
+  if (!THEME_TYPES.includes(type)) {
+    throw new Error(`Theme ${source} has invalid type "${type}" (expected ${THEME_TYPES.join(" or ")})`);
+  }
+
+  return {
+    name: raw.name || path.basename(source, ".json"),
+    type,
+    colors: resolvePalette(raw.colors, source),
+    syntax: resolveSyntax(raw.syntax, source),
+    typography: resolveTypography(raw.typography, source),
+    variants: resolveVariants(raw.variants, type, source),
+    extends: typeof raw.extends === "string" ? raw.extends : undefined,
+  };
+}
+
+// Re-points a theme reference (extends, variants) from a file in fromDir to the same theme from a file in toDir.
+function rebaseThemeSpec(spec, fromDir, toDir) {
+  const themePath = resolveThemePath(spec, fromDir);
+  return themePath === path.join(THEMES_DIR, `${spec}.json`) ? spec : path.relative(toDir, themePath);
+}
+
+function detectThemeFormat(filePath, text) {
+  return THEME_FORMATS.find((format) => format.matches(filePath, text));
+}
+
+function readThemeFile(themePath, depth = 0) {
+  let raw;
+  try {
+    const text = fs.readFileSync(themePath, "utf8");
+    raw = detectThemeFormat(themePath, text).read(text, themePath);
+  } catch (error) {
+    throw new Error(`Could not read theme ${themePath}: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== "object" || !raw.extends) {
+    return raw;
+  }
+  if (depth >= MAX_EXTENDS_DEPTH) {
+    throw new Error(`Theme ${themePath} extends too many levels (cycle?)`);
+  }
+
+  const base = readThemeFile(resolveThemePath(raw.extends, path.dirname(themePath)), depth + 1);
+  return {
+    ...raw,
+    type: raw.type || base.type,
+    colors: { ...base.colors, ...raw.colors },
+    syntax: { ...base.syntax, ...raw.syntax },
+    typography: { ...base.typography, ...raw.typography },
+  };
+}
+
+function loadTheme(spec) {
+  const themePath = resolveThemePath(spec || DEFAULT_THEME);
+  return { ...normalizeTheme(readThemeFile(themePath), themePath), path: themePath };
+}
+
+// The theme itself covers its own type; "variants" names themes for the other one. Variants of variants are ignored.
+function resolveThemeVariants(theme) {
+  const variants = { [theme.type]: theme };
+  for (const [type, spec] of Object.entries(theme.variants || {})) {
+    const variantPath = resolveThemePath(spec, theme.path ? path.dirname(theme.path) : undefined);
+    const variant = { ...normalizeTheme(readThemeFile(variantPath), variantPath), path: variantPath };
+    if (variant.type !== type) {
+      throw new Error(`Theme ${variantPath} is ${variant.type}, but ${theme.name} uses it as its ${type} variant`);
+    }
+    variants[type] = variant;
+  }
+  return variants;
+}
+
+function serializeTheme(theme) {
+  const out = { name: theme.name, type: theme.type };
+  if (theme.extends) {
+    out.extends = theme.extends;
+  }
+  out.colors = theme.colors;
+  if (Object.keys(theme.syntax).length > 0) {
+    out.syntax = theme.syntax;
+  }
+  if (theme.typography && Object.keys(theme.typography).length > 0) {
+    out.typography = theme.typography;
+  }
+  if (theme.variants && Object.keys(theme.variants).length > 0) {
+    out.variants = theme.variants;
+  }
+  return `${JSON.stringify(out, null, 2)}\n`;
+}
+
+function syntaxCssVar(token) {
+  return tokenToCssVar(`syntax-${token}`);
+}
+
+function buildThemeVariables(colors, syntax = {}) {
+  const lines = COLOR_TOKEN_NAMES.filter((name) => colors[name]).map(
+    (name) => `  ${tokenToCssVar(name)}: ${colors[name]};`,
+  );
+  for (const name of SYNTAX_TOKEN_NAMES.filter((token) => syntax[token])) {
+    lines.push(`  ${syntaxCssVar(name)}: ${syntax[name]};`);
+  }
+  return lines.join("\n");
+}
+
+function buildShikiVariables(syntax) {
+  return Object.entries(SHIKI_VARIABLES)
+    .map(([name, tokens]) => [name, tokens.find((token) => syntax[token])])
+    .filter(([, token]) => token)
+    .map(([name, token]) => `  ${name}: var(${syntaxCssVar(token)});`)
+    .join("\n");
+}
+
+function syntaxSelectors(token) {
+  const inline = (INLINE_TOKEN_COLORS[token] || []).map((hex) => `:root :is(pre, code) span[style*="${hex}" i]`);
+  return [...SYNTAX_SELECTORS[token], ...inline];
+}
+
+function buildSyntaxCss(syntax) {
+  const rules = SYNTAX_TOKEN_NAMES.filter((token) => syntax[token]).map(
+    (token) => `${syntaxSelectors(token).join(",\n")} {\n  color: var(${syntaxCssVar(token)}) !important;\n}\n`,
+  );
+  return [`:root {\n${buildShikiVariables(syntax)}\n}\n`, ...rules].join("\n");
+}
+
+function formatFontStack(families, generic) {
+  const names = families.map((family) => (isGenericFamily(family) ? family : JSON.stringify(family)));
+  return [...names, ...(families.some(isGenericFamily) ? [] : [generic])].join(", ");
+}
+
+function buildTypographyCss(typography) {
+  const vars = [];
+  const rootRules = [];
+  const uiRules = [];
+  const monoRules = [];
+  const codeBlockRules = [];
+  const v = (token) => `var(${tokenToCssVar(token)})`;
+
+  if (typography.uiFont) {
+    vars.push(`  ${tokenToCssVar("uiFont")}: ${formatFontStack(typography.uiFont, "sans-serif")};`);
+    uiRules.push(`  font-family: ${v("uiFont")} !important;`);
+  }
+  if (typography.fontSize) {
+    vars.push(`  ${tokenToCssVar("fontSize")}: ${typography.fontSize}px;`);
+    rootRules.push(`  font-size: ${v("fontSize")} !important;`);
+  }
+  if (typography.monoFont) {
+    vars.push(`  ${tokenToCssVar("monoFont")}: ${formatFontStack(typography.monoFont, "monospace")};`);
+    monoRules.push(`  font-family: ${v("monoFont")} !important;`);
+  }
+  if (typeof typography.ligatures === "boolean") {
+    monoRules.push(`  font-variant-ligatures: ${typography.ligatures ? "normal" : "none"} !important;`);
+  }
+  if (typography.codeFontSize) {
+    vars.push(`  ${tokenToCssVar("codeFontSize")}: ${typography.codeFontSize}px;`);
+    codeBlockRules.push(`  font-size: ${v("codeFontSize")} !important;`);
+  }
+  if (typography.lineHeight) {
+    vars.push(`  ${tokenToCssVar("lineHeight")}: ${typography.lineHeight};`);
+    codeBlockRules.push(`  line-height: ${v("lineHeight")} !important;`);
+  }
+
+  const rule = (selectors, lines) => (lines.length > 0 ? `${selectors.join(",\n")} {\n${lines.join("\n")}\n}\n` : null);
+  return [
+    rule([":root"], [...vars, ...rootRules]),
+    rule(["body", "button", "input", "textarea", "select"], uiRules),
+    rule(MONO_SELECTORS, monoRules),
+    rule(["pre", "pre code", "pre .line"], codeBlockRules),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function buildDiffCss() {
+  return Object.entries(DIFF_SELECTORS)
+    .map(
+      ([token, selectors]) =>
+        `${selectors.join(",\n")} {\n  background-color: var(${tokenToCssVar(token)}) !important;\n}\n`,
+    )
+    .join("\n");
+}
+
+function buildThemeCss(theme) {
+  const v = (token) => `var(${tokenToCssVar(token)})`;
+
+  return `
+:root {
+${buildThemeVariables(theme.colors, theme.syntax)}
+}
+
+:root,
+html,
+body,
+#root {
+  color-scheme: ${theme.type} !important;
+  background: ${v("background")} !important;
+  color: ${v("foreground")} !important;
+}
+
+* {
+  border-color: ${v("border")} !important;
+}
+
+main,
+section,
+article,
+aside,
+header,
+footer,
+nav,
+div[data-panel],
+[data-theme="dark"] {
+  background-color: ${v("background")} !important;
+  color: ${v("foreground")} !important;
+}
+
+aside,
+nav,
+[data-sidebar],
+[role="complementary"] {
+  background-color: ${v("panel")} !important;
+}
+
+button,
+input,
+textarea,
+select,
+[role="button"] {
+  background-color: ${v("panel")} !important;
+  color: ${v("foreground")} !important;
+  border-color: ${v("controlBorder")} !important;
+}
+
+button:hover,
+[role="button"]:hover {
+  background-color: ${v("hover")} !important;
+}
+
+a {
+  color: ${v("accent")} !important;
+}
+
+a:hover {
+  color: ${v("accentHover")} !important;
+}
+
+pre,
+code {
+  background-color: ${v("codeBackground")} !important;
+  color: ${v("foreground")} !important;
+}
+
+::selection {
+  background: ${v("selection")} !important;
+  color: ${v("selectionForeground")} !important;
+}
+
+::-webkit-scrollbar-thumb {
+  background: ${v("scrollbar")} !important;
+  border-radius: 8px !important;
+}
+
+::-webkit-scrollbar-track {
+  background: ${v("scrollbarTrack")} !important;
+}
+
+${buildDiffCss()}${theme.syntax && Object.keys(theme.syntax).length > 0 ? `\n${buildSyntaxCss(theme.syntax)}` : ""}${
+    theme.typography && Object.keys(theme.typography).length > 0 ? `\n${buildTypographyCss(theme.typography)}` : ""
+  }`;
+}
+
+// One stylesheet for all variants: the page picks the block matching prefers-color-scheme and follows changes.
+function buildThemeVariantsCss(variants) {
+  const types = THEME_TYPES.filter((type) => variants[type]);
+  if (types.length === 1) {
+    return buildThemeCss(variants[types[0]]);
+  }
+  return types
+    .map((type) => `@media (prefers-color-scheme: ${type}) {\n${buildThemeCss(variants[type])}}\n`)
+    .join("\n");
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  CSS_VAR_PREFIX,
+  COLOR_TOKEN_NAMES,
+  SYNTAX_TOKEN_NAMES,
+  TYPOGRAPHY_OPTIONS,
+  tokenToCssVar,
+  listBuiltinThemes,
+  detectThemeFormat,
+  normalizeTheme,
+  loadTheme,
+  resolveThemeVariants,
+  rebaseThemeSpec,
+  serializeTheme,
+  buildThemeVariables,
+  buildThemeCss,
+  buildThemeVariantsCss,
+};
@@ -0,0 +1,133 @@
+const fs = require("fs");
+
+const FRESH_LOCK_MS = 5000;
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function acquireLock(lockPath, label) {
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, command: label, startedAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return () => {
+        const holder = readLock(lockPath);
+        if (holder && holder.pid === process.pid) {
+          fs.rmSync(lockPath, { force: true });
+        }
+      };
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    const holder = readLock(lockPath);
+    const fresh = !holder && Date.now() - fs.statSync(lockPath).mtimeMs < FRESH_LOCK_MS;
+    if (fresh || (holder && isProcessAlive(holder.pid))) {
+      const owner = holder ? `pid ${holder.pid}, ${holder.command}, since ${holder.startedAt}` : "starting up";
+      throw new Error(`Another codex-darcula run holds ${lockPath} (${owner})`);
+    }
+    fs.rmSync(lockPath, { force: true });
+  }
+  throw new Error(`Could not acquire lock ${lockPath}`);
+}
+
+function writeJournal(journalPath, state, entries) {
+  fs.writeFileSync(journalPath, JSON.stringify({ state, entries }, null, 2));
+}
+
+function rollbackEntries(entries) {
+  for (const entry of [...entries].reverse()) {
+    if (fs.existsSync(entry.rollback)) {
+      fs.renameSync(entry.rollback, entry.target);
+    } else if (!entry.existed) {
+      fs.rmSync(entry.target, { force: true });
+    }
+    fs.rmSync(entry.staged, { force: true });
+  }
+}
+
+function finishEntries(entries) {
+  for (const entry of entries) {
+    fs.rmSync(entry.rollback, { force: true });
+    fs.rmSync(entry.staged, { force: true });
+  }
+}
+
+function commitFiles(journalPath, files) {
+  const entries = files.map(({ target, staged }) => ({
+    target,
+    staged,
+    rollback: `${target}.rollback-darcula`,
+    existed: fs.existsSync(target),
+  }));
+  writeJournal(journalPath, "committing", entries);
+
+  try {
+    for (const entry of entries) {
+      if (entry.existed) {
+        fs.renameSync(entry.target, entry.rollback);
+      }
+      fs.renameSync(entry.staged, entry.target);
+    }
+    writeJournal(journalPath, "committed", entries);
+  } catch (error) {
+    rollbackEntries(entries);
+    fs.rmSync(journalPath, { force: true });
+    throw error;
+  }
+
+  return {
+    rollback() {
+      rollbackEntries(entries);
+      fs.rmSync(journalPath, { force: true });
+    },
+    finish() {
+      finishEntries(entries);
+      fs.rmSync(journalPath, { force: true });
+    },
+  };
+}
+
+function recoverTransaction(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return null;
+  }
+
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+  } catch {
+    journal = { state: "corrupted", entries: [] };
+  }
+  const entries = Array.isArray(journal.entries) ? journal.entries : [];
+  if (journal.state === "committed") {
+    finishEntries(entries);
+  } else {
+    rollbackEntries(entries);
+  }
+  fs.rmSync(journalPath, { force: true });
+  return journal.state === "committed" ? "completed" : "rolled back";
+}
+
+module.exports = {
+  acquireLock,
+  commitFiles,
+  recoverTransaction,
+};
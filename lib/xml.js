@@ -0,0 +1,138 @@
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(ENTITIES, entity) ? ENTITIES[entity] : match;
+  });
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function parseAttributes(source, context) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  if (source.replace(pattern, "").trim()) {
+    throw new Error(`Invalid XML attributes in <${context}>`);
+  }
+  return attributes;
+}
+
+function parseXml(text) {
+  const root = { name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, pos).split("\n").length;
+    throw new Error(`Invalid XML at line ${line}: ${message}`);
+  };
+
+  const skipUntil = (terminator) => {
+    const end = text.indexOf(terminator, pos);
+    if (end === -1) {
+      fail(`missing "${terminator}"`);
+    }
+    const chunk = text.slice(pos, end);
+    pos = end + terminator.length;
+    return chunk;
+  };
+
+  while (pos < text.length) {
+    const current = stack[stack.length - 1];
+    const lt = text.indexOf("<", pos);
+
+    if (lt === -1 || lt > pos) {
+      const end = lt === -1 ? text.length : lt;
+      const chunk = text.slice(pos, end);
+      if (chunk.trim() || stack.length > 1) {
+        current.children.push(decodeEntities(chunk));
+      }
+      pos = end;
+      continue;
+    }
+
+    if (text.startsWith("<!--", pos)) {
+      pos += 4;
+      skipUntil("-->");
+      continue;
+    }
+    if (text.startsWith("<![CDATA[", pos)) {
+      pos += 9;
+      current.children.push(skipUntil("]]>"));
+      continue;
+    }
+    if (text.startsWith("<?", pos) || text.startsWith("<!", pos)) {
+      pos += 2;
+      skipUntil(">");
+      continue;
+    }
+    if (text.startsWith("</", pos)) {
+      pos += 2;
+      const name = skipUntil(">").trim();
+      if (stack.length === 1 || current.name !== name) {
+        fail(`unexpected </${name}>`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    pos += 1;
+    const tag = skipUntil(">");
+    const selfClosing = tag.endsWith("/");
+    const body = selfClosing ? tag.slice(0, -1) : tag;
+    const nameMatch = /^([^\s/>]+)/.exec(body);
+    if (!nameMatch) {
+      fail("missing element name");
+    }
+    const node = {
+      name: nameMatch[1],
+      attributes: parseAttributes(body.slice(nameMatch[1].length), nameMatch[1]),
+      children: [],
+    };
+    current.children.push(node);
+    if (!selfClosing) {
+      stack.push(node);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: unclosed <${stack[stack.length - 1].name}>`);
+  }
+
+  const elements = root.children.filter((child) => typeof child !== "string");
+  if (elements.length !== 1) {
+    throw new Error("Invalid XML: expected exactly one root element");
+  }
+  return elements[0];
+}
+
+function childElements(node, name) {
+  return node.children.filter((child) => typeof child !== "string" && (!name || child.name === name));
+}
+
+function textContent(node) {
+  return node.children.map((child) => (typeof child === "string" ? child : textContent(child))).join("");
+}
+
+module.exports = {
+  parseXml,
+  childElements,
+  textContent,
+  escapeXml,
+};
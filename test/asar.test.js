@@ -0,0 +1,132 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { spawnSync } = require("node:child_process");
+const {
+  parseAsar,
+  extractFileMap,
+  buildAsar,
+  getAsarHeaderHash,
+  listEntries,
+  checkUnpacked,
+  extractAsar,
+  packDirectory,
+  verifyIntegrity,
+} = require("../lib/asar");
+
+const CLI = path.join(__dirname, "..", "codex-darcula-theme.js");
+
+function sampleArchive() {
+  const header = {
+    files: {
+      "package.json": {},
+      ".vite": { files: { build: { files: { "main-abc.js": {} } } } },
+      "main.js": { link: ".vite/build/main-abc.js" },
+    },
+  };
+  const fileMap = new Map([
+    ["package.json", Buffer.from('{"version":"1.0.0"}')],
+    [".vite/build/main-abc.js", Buffer.from("x".repeat(5 * 1024 * 1024))],
+  ]);
+  return { header, fileMap };
+}
+
+test("built asar parses back to the same files", () => {
+  const { header, fileMap } = sampleArchive();
+  const asar = buildAsar(header, fileMap);
+  const parsed = parseAsar(asar);
+  const files = extractFileMap(asar, parsed.header, parsed.dataOffset);
+  assert.deepEqual(Array.from(files.keys()).sort(), Array.from(fileMap.keys()).sort());
+  for (const [relPath, buffer] of fileMap) {
+    assert.ok(files.get(relPath).equals(buffer), relPath);
+  }
+});
+
+test("rebuilt entries carry valid block integrity and damaged blocks are reported", () => {
+  const { header, fileMap } = sampleArchive();
+  const asar = buildAsar(header, fileMap);
+  const results = verifyIntegrity(asar);
+  assert.equal(results.length, 2);
+  assert.ok(results.every((result) => result.status === "ok"));
+  const main = parseAsar(asar).header.files[".vite"].files.build.files["main-abc.js"];
+  assert.equal(main.integrity.blocks.length, 2);
+
+  const damaged = Buffer.from(asar);
+  damaged[damaged.length - 1] = 0x79;
+  const broken = verifyIntegrity(damaged).find((result) => result.path === ".vite/build/main-abc.js");
+  assert.equal(broken.status, "hash-mismatch");
+  assert.equal(broken.detail, "bad blocks 1 of 2");
+});
+
+test("rebuilding a parsed archive is byte-identical", () => {
+  const { header, fileMap } = sampleArchive();
+  const asar = buildAsar(header, fileMap);
+  const parsed = parseAsar(asar);
+  const rebuilt = buildAsar(parsed.header, extractFileMap(asar, parsed.header, parsed.dataOffset));
+  assert.ok(rebuilt.equals(asar));
+  assert.equal(getAsarHeaderHash(rebuilt), getAsarHeaderHash(asar));
+});
+
+test("truncated or corrupt archives are rejected", () => {
+  const { header, fileMap } = sampleArchive();
+  const asar = buildAsar(header, fileMap);
+  assert.throws(() => parseAsar(asar.subarray(0, 10)), /too small/);
+  assert.throws(() => parseAsar(asar.subarray(0, 64)), /Invalid asar/);
+  const corrupt = Buffer.from(asar);
+  corrupt[20] = 0x7b;
+  assert.throws(() => parseAsar(corrupt), /Invalid asar/);
+});
+
+test("asar ls counts files, directories and links separately", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-asar-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { header, fileMap } = sampleArchive();
+  const asarPath = path.join(dir, "app.asar");
+  fs.writeFileSync(asarPath, buildAsar(header, fileMap));
+
+  const types = listEntries(parseAsar(fs.readFileSync(asarPath)).header).map((item) => `${item.type} ${item.path}`);
+  assert.ok(types.includes("link main.js"));
+
+  const result = spawnSync(process.execPath, [CLI, "asar", "ls", "--asar", asarPath], { encoding: "utf8" });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /^entries: 2 files, 2 directories, 1 links$/m);
+});
+
+test("pack and extract keep links, executable bits and unpacked files", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-asar-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const src = path.join(dir, "src");
+  fs.mkdirSync(path.join(src, "bin"), { recursive: true });
+  fs.writeFileSync(path.join(src, "bin", "tool"), "#!/bin/sh\n");
+  fs.chmodSync(path.join(src, "bin", "tool"), 0o755);
+  fs.writeFileSync(path.join(src, "index.js"), "module.exports = 1;\n");
+  fs.symlinkSync("index.js", path.join(src, "main.js"));
+
+  const packed = parseAsar(packDirectory(src));
+  const files = packed.header.files;
+  assert.deepEqual(files["main.js"], { link: "index.js" });
+  assert.equal(files.bin.files.tool.executable, true);
+
+  const header = { files: { ...files, "addon.node": { size: 4, unpacked: true } } };
+  const asar = buildAsar(header, extractFileMap(packDirectory(src), packed.header, packed.dataOffset));
+  const unpackedDir = path.join(dir, "app.asar.unpacked");
+  assert.deepEqual(checkUnpacked(parseAsar(asar).header, unpackedDir), [{ path: "addon.node", status: "missing" }]);
+  fs.mkdirSync(unpackedDir);
+  fs.writeFileSync(path.join(unpackedDir, "addon.node"), "abcd");
+  assert.deepEqual(checkUnpacked(parseAsar(asar).header, unpackedDir), [{ path: "addon.node", status: "ok" }]);
+
+  const out = path.join(dir, "out");
+  assert.deepEqual(extractAsar(asar, out, unpackedDir), { written: 4, skipped: [] });
+  assert.equal(fs.readlinkSync(path.join(out, "main.js")), "index.js");
+  assert.equal(fs.statSync(path.join(out, "bin", "tool")).mode & 0o111, 0o111);
+  assert.equal(fs.readFileSync(path.join(out, "addon.node"), "utf8"), "abcd");
+});
+
+test("headers pointing outside the archive are rejected", () => {
+  const escape = { files: { evil: { link: "../../etc/passwd" } } };
+  assert.throws(() => parseAsar(buildAsar(escape, new Map())), /points outside the archive/);
+  const unsafe = { files: { "a\\b": {} } };
+  assert.throws(() => parseAsar(buildAsar(unsafe, new Map([["a\\b", Buffer.from("x")]]))), /unsafe entry name/);
+});
@@ -0,0 +1,33 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { createFakeApp } = require("./helpers/fake-app");
+
+test("restore brings back the backup of the installed build", (t) => {
+  const app = createFakeApp(t);
+  const original = app.snapshot();
+  assert.equal(app.run("patch", "--no-codesign").status, 0);
+  assert.ok(!app.snapshot().asar.equals(original.asar));
+
+  const result = app.run("restore", "--no-codesign");
+  assert.equal(result.status, 0, result.stderr);
+  assert.ok(app.snapshot().asar.equals(original.asar));
+});
+
+test("restore refuses a same-version backup of another build unless forced", (t) => {
+  const app = createFakeApp(t);
+  const buildA = app.snapshot();
+  assert.equal(app.run("patch", "--no-codesign").status, 0);
+  app.install("b");
+  const buildB = app.snapshot();
+
+  const refused = app.run("restore", "--no-codesign");
+  assert.notEqual(refused.status, 0);
+  assert.match(refused.stderr, /No backup of the installed Codex 26\.1\.0 build/);
+  assert.match(refused.stderr, /same-version backups of other builds: 26\.1\.0-[0-9a-f]{12}/);
+  assert.ok(app.snapshot().asar.equals(buildB.asar));
+  assert.match(app.run("status").stdout, /^backup: no$/m);
+
+  const forced = app.run("restore", "--no-codesign", "--force");
+  assert.equal(forced.status, 0, forced.stderr);
+  assert.ok(app.snapshot().asar.equals(buildA.asar));
+});
@@ -0,0 +1,102 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { formatUnifiedDiff } = require("../lib/diff");
+
+function applyEdits(text, edits) {
+  return [...edits]
+    .sort((a, b) => b.index - a.index)
+    .reduce((out, edit) => out.slice(0, edit.index) + edit.insert + out.slice(edit.index + edit.remove), text);
+}
+
+// Applies a unified diff produced for short lines (no elision) and checks every hunk header on the way.
+function applyUnifiedDiff(text, diff) {
+  const source = text.split("\n");
+  if (text.endsWith("\n")) {
+    source.pop();
+  }
+  const out = [];
+  let cursor = 0;
+  let shift = 0;
+  const lines = diff.split("\n").slice(2);
+  for (let i = 0; i < lines.length; ) {
+    const match = /^@@ -(\d+),(\d+) \+(\d+),(\d+) @@/.exec(lines[i]);
+    assert.ok(match, `expected a hunk header, got ${lines[i]}`);
+    const [oldStart, oldCount, newStart, newCount] = match.slice(1).map(Number);
+    assert.ok(oldStart - 1 >= cursor, "hunks must not overlap");
+    assert.equal(newStart, oldStart + shift);
+    out.push(...source.slice(cursor, oldStart - 1));
+    cursor = oldStart - 1;
+    let seenOld = 0;
+    let seenNew = 0;
+    for (i += 1; i < lines.length && !lines[i].startsWith("@@"); i += 1) {
+      const [mark, line] = [lines[i][0], lines[i].slice(1)];
+      if (mark !== "+") {
+        assert.equal(source[cursor], line);
+        cursor += 1;
+        seenOld += 1;
+      }
+      if (mark !== "-") {
+        out.push(line);
+        seenNew += 1;
+      }
+    }
+    assert.equal(seenOld, oldCount);
+    assert.equal(seenNew, newCount);
+    shift += newCount - oldCount;
+  }
+  out.push(...source.slice(cursor));
+  return `${out.join("\n")}\n`;
+}
+
+const numbered = `${Array.from({ length: 20 }, (_, i) => `line${i + 1}`).join("\n")}\n`;
+
+test("edits on one line share a single hunk", () => {
+  const text = "a();b();c();\nnext();\n";
+  const edits = [
+    { name: "first", index: 4, remove: 0, insert: "helper();" },
+    { name: "second", index: 8, remove: 4, insert: "(wrap(),c())" },
+  ];
+  const diff = formatUnifiedDiff("main.js", text, edits);
+  assert.equal(diff.match(/^@@/gm).length, 1);
+  assert.match(diff, /^@@ -1,2 \+1,2 @@ first \(offset 4\), second \(offset 8\)$/m);
+  assert.equal(applyUnifiedDiff(text, diff), applyEdits(text, edits));
+});
+
+test("multi-line inserts shift later hunks", () => {
+  const edits = [
+    { name: "a", index: numbered.indexOf("line3"), remove: 5, insert: "L3\nL3b\nL3c" },
+    { name: "b", index: numbered.indexOf("line18"), remove: 6, insert: "L18" },
+  ];
+  const diff = formatUnifiedDiff("f.js", numbered, edits);
+  assert.equal(diff.match(/^@@/gm).length, 2);
+  assert.match(diff, /^@@ -15,6 \+17,6 @@ b/m);
+  assert.equal(applyUnifiedDiff(numbered, diff), applyEdits(numbered, edits));
+});
+
+test("edits on nearby lines merge into one hunk", () => {
+  const edits = [
+    { name: "a", index: numbered.indexOf("line5"), remove: 0, insert: "X" },
+    { name: "b", index: numbered.indexOf("line10"), remove: 6, insert: "ten\n" },
+  ];
+  const diff = formatUnifiedDiff("f.js", numbered, edits);
+  assert.equal(diff.match(/^@@/gm).length, 1);
+  assert.equal(applyUnifiedDiff(numbered, diff), applyEdits(numbered, edits));
+});
+
+test("line counts ignore the trailing newline", () => {
+  const text = "one\ntwo\n";
+  const edits = [{ name: "end", index: text.indexOf("two"), remove: 3, insert: "2" }];
+  const diff = formatUnifiedDiff("f.js", text, edits);
+  assert.match(diff, /^@@ -1,2 \+1,2 @@/m);
+  assert.equal(applyUnifiedDiff(text, diff), applyEdits(text, edits));
+});
+
+test("long minified lines are elided around the edits", () => {
+  const text = `${"a".repeat(2000)}TARGET${"b".repeat(2000)}\n`;
+  const edits = [{ name: "target", index: 2000, remove: 6, insert: "PATCHED" }];
+  const lines = formatUnifiedDiff("f.js", text, edits).split("\n");
+  const changed = lines.filter((line) => /^[-+][^-+]/.test(line));
+  assert.equal(changed.length, 2);
+  assert.ok(changed.every((line) => line.length < 400));
+  assert.match(changed[1], /^\+\.\.\.a+PATCHEDb+\.\.\.$/);
+});
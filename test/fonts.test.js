@@ -0,0 +1,32 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+// The font index is built once per process from the user font dirs, so HOME has to point at the fixture first.
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-fonts-"));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+for (const dir of [path.join(home, ".fonts"), path.join(home, "Library", "Fonts")]) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of ["DarculaTestMonoNL-Regular.ttf", "DarculaTestSans-BoldIt.otf", "DarculaTestUi[wght].ttf"]) {
+    fs.writeFileSync(path.join(dir, file), "");
+  }
+}
+const { findMissingFonts } = require("../lib/fonts");
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const missing = (family) => findMissingFonts({ monoFont: [family, "monospace"] }).map((item) => item.family);
+
+test("font files match the family followed by style words only", () => {
+  assert.deepEqual(missing("Darcula Test Mono NL"), []);
+  assert.deepEqual(missing("Darcula Test Sans"), []);
+  assert.deepEqual(missing("Darcula Test UI"), []);
+});
+
+test("a family that is only a prefix of an installed one is reported missing", () => {
+  assert.deepEqual(missing("Darcula Test Mono"), ["Darcula Test Mono"]);
+  assert.deepEqual(missing("Darcula Test"), ["Darcula Test"]);
+});
@@ -0,0 +1,83 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+const { buildAsar, getAsarHeaderHash } = require("../../lib/asar");
+const { buildPlist } = require("../../lib/plist");
+
+const CLI = path.join(__dirname, "..", "..", "codex-darcula-theme.js");
+
+// Smallest main bundle the default recipe can patch.
+const MAIN_BUNDLE =
+  'const n=require("electron");' +
+  'function s(e){e==="light"||e==="dark"?n.nativeTheme.themeSource=e:n.nativeTheme.themeSource="system"}' +
+  "class W{open(w){this.installNativeContextMenu(w)}installNativeContextMenu(){}}";
+
+function buildAppAsar(build = "a") {
+  const header = {
+    files: {
+      "package.json": {},
+      ".vite": { files: { build: { files: { "main-abc.js": {} } } } },
+    },
+  };
+  const fileMap = new Map([
+    ["package.json", Buffer.from('{"version":"26.1.0"}')],
+    [".vite/build/main-abc.js", Buffer.from(`${MAIN_BUNDLE}/*${build}*/`)],
+  ]);
+  return buildAsar(header, fileMap);
+}
+
+function writeInfoPlist(plistPath, asarBuffer, version = "26.1.0") {
+  const integrity = new Map([["algorithm", "SHA256"], ["hash", getAsarHeaderHash(asarBuffer)]]);
+  const plist = new Map([
+    ["CFBundleShortVersionString", version],
+    ["ElectronAsarIntegrity", new Map([["Resources/app.asar", integrity]])],
+  ]);
+  fs.writeFileSync(plistPath, buildPlist(plist, "xml"));
+}
+
+// A throwaway Codex.app plus config dir; `run` calls the CLI against it with a PATH that can shadow codesign.
+function createFakeApp(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-app-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const appPath = path.join(root, "Codex.app");
+  const resourcesDir = path.join(appPath, "Contents", "Resources");
+  fs.mkdirSync(resourcesDir, { recursive: true });
+  const app = {
+    root,
+    appPath,
+    configDir: path.join(root, "config"),
+    binDir: path.join(root, "bin"),
+    asarPath: path.join(resourcesDir, "app.asar"),
+    infoPlistPath: path.join(appPath, "Contents", "Info.plist"),
+    lockPath: path.join(resourcesDir, "darcula.lock"),
+    install(build) {
+      const asar = buildAppAsar(build);
+      fs.writeFileSync(app.asarPath, asar);
+      writeInfoPlist(app.infoPlistPath, asar);
+    },
+    snapshot() {
+      return { asar: fs.readFileSync(app.asarPath), plist: fs.readFileSync(app.infoPlistPath) };
+    },
+    fakeCodesign(exitCode) {
+      fs.mkdirSync(app.binDir, { recursive: true });
+      fs.writeFileSync(path.join(app.binDir, "codesign"), `#!/bin/sh\nexit ${exitCode}\n`, { mode: 0o755 });
+    },
+    run(...args) {
+      return spawnSync(process.execPath, [CLI, ...args, "--app", appPath], {
+        encoding: "utf8",
+        env: {
+          ...process.env,
+          CODEX_DARCULA_CONFIG_DIR: app.configDir,
+          PATH: `${app.binDir}${path.delimiter}${process.env.PATH}`,
+        },
+      });
+    },
+  };
+  app.install();
+  return app;
+}
+
+module.exports = {
+  createFakeApp,
+};
@@ -0,0 +1,60 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { importIcls, importIntellijTheme } = require("../lib/import-intellij");
+const { detectThemeFormat, loadTheme, normalizeTheme } = require("../lib/theme");
+
+const fixture = (name) => path.join(__dirname, "fixtures", "intellij", name);
+
+test(".icls scheme tokens map onto the palette and syntax", () => {
+  const theme = loadTheme(fixture("scheme.icls"));
+  assert.equal(theme.name, "Mono Night");
+  assert.equal(theme.type, "dark");
+  assert.equal(theme.colors.background, "#1e1f22");
+  assert.equal(theme.colors.foreground, "#c9ccd3");
+  assert.equal(theme.colors.hover, "#26282e");
+  assert.equal(theme.colors.codeBackground, "#1b1c20");
+  assert.equal(theme.colors.selection, "#214283");
+  assert.equal(theme.colors.diffAdded, "#294436");
+  assert.deepEqual(theme.syntax, { keyword: "#cf8e6d", comment: "#7a7e85" });
+});
+
+test("missing tokens are derived from the imported colors, not inherited from a built-in theme", () => {
+  const imported = importIcls(fs.readFileSync(fixture("scheme.icls"), "utf8"), fixture("scheme.icls"));
+  assert.equal(imported.extends, undefined);
+
+  const theme = loadTheme(fixture("scheme.icls"));
+  const derived = normalizeTheme({ colors: { background: "#1e1f22", foreground: "#c9ccd3" } }, "derived");
+  for (const token of ["panel", "border", "accent", "diffRemoved"]) {
+    assert.equal(theme.colors[token], derived.colors[token], token);
+  }
+  assert.deepEqual(theme.typography, {});
+});
+
+test("a scheme that inherits its text colors falls back to the parent scheme defaults", () => {
+  const theme = loadTheme(fixture("partial.icls"));
+  assert.equal(theme.type, "light");
+  assert.equal(theme.colors.background, "#ffffff");
+  assert.equal(theme.colors.foreground, "#080808");
+  assert.deepEqual(theme.syntax, { keyword: "#00033b" });
+});
+
+test("UI themes resolve named colors and prefer the editor scheme for text colors", () => {
+  const imported = importIntellijTheme(fs.readFileSync(fixture("ui.theme.json"), "utf8"), fixture("ui.theme.json"));
+  assert.equal(imported.extends, undefined);
+  const theme = normalizeTheme(imported, "ui");
+  assert.equal(theme.type, "dark");
+  assert.equal(theme.colors.panel, "#2b2d30");
+  assert.equal(theme.colors.border, "#393b40");
+  assert.equal(theme.colors.accent, "#548af7");
+  assert.equal(theme.colors.background, "#1e1f22");
+  assert.equal(theme.syntax.keyword, "#cf8e6d");
+});
+
+test("*.theme.json files are told apart by content", () => {
+  const read = (name) => detectThemeFormat(fixture(name), fs.readFileSync(fixture(name), "utf8")).name;
+  assert.equal(read("ui.theme.json"), "intellij-ui-theme");
+  assert.equal(read("native.theme.json"), "theme");
+  assert.equal(loadTheme(fixture("native.theme.json")).colors.background, "#fafafa");
+});
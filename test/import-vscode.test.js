@@ -0,0 +1,46 @@
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const test = require("node:test");
+const { parseJsonc } = require("../lib/import-vscode");
+const { loadTheme } = require("../lib/theme");
+
+const fixture = (name) => path.join(__dirname, "fixtures", "vscode", name);
+
+test("parseJsonc drops comments and trailing commas but keeps them inside strings", () => {
+  const parsed = parseJsonc('// head\n{ "a": "x // y", /* b */ "b": [1, 2,], "c": "/* z */", }');
+  assert.deepEqual(parsed, { a: "x // y", b: [1, 2], c: "/* z */" });
+});
+
+test("include chains merge colors and token rules, the including theme winning", () => {
+  const theme = loadTheme(fixture("child-color-theme.jsonc"));
+  assert.equal(theme.name, "Child");
+  assert.equal(theme.type, "dark");
+  assert.equal(theme.colors.background, "#202020");
+  assert.equal(theme.colors.foreground, "#d0d0d0");
+  assert.equal(theme.colors.panel, "#181818");
+  assert.equal(theme.syntax.keyword, "#c586c0");
+  assert.equal(theme.syntax.string, "#ce9178");
+});
+
+test("workbench colors and token scopes map onto palette and syntax tokens", () => {
+  const theme = loadTheme(fixture("child-color-theme.jsonc"));
+  assert.equal(theme.colors.accent, "#4daafc");
+  assert.equal(theme.colors.selection, "#23384c");
+  assert.equal(theme.colors.scrollbarTrack, "#202020");
+  assert.equal(theme.syntax.comment, "#6a9955");
+  assert.equal(theme.syntax.operator, "#569cd6");
+});
+
+test("themes without a type use the global token settings and light defaults", () => {
+  const theme = loadTheme(fixture("light-color-theme.json"));
+  assert.equal(theme.type, "light");
+  assert.equal(theme.colors.background, "#fdfdfd");
+  assert.equal(theme.colors.foreground, "#333333");
+  assert.equal(theme.colors.panel, "#f3f3f3");
+  assert.equal(theme.colors.accent, "#006ab1");
+  assert.deepEqual(theme.syntax, { comment: "#999988" });
+});
+
+test("include cycles are reported instead of recursing forever", () => {
+  assert.throws(() => loadTheme(fixture("loop-color-theme.json")), /includes too many levels/);
+});
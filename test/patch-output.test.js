@@ -0,0 +1,44 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { getAsarHeaderHash } = require("../lib/asar");
+const { getAsarIntegrityHash, readPlistFile } = require("../lib/plist");
+const { createFakeApp } = require("./helpers/fake-app");
+
+test("patch --dry-run prints the plan and leaves the app alone", (t) => {
+  const app = createFakeApp(t);
+  const before = app.snapshot();
+
+  const result = app.run("patch", "--dry-run");
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /^anchor themeSetter: line 1/m);
+  assert.match(result.stdout, /^\+\+\+ b\/\.vite\/build\/main-abc\.js$/m);
+  const after = app.snapshot();
+  assert.ok(after.asar.equals(before.asar));
+  assert.ok(after.plist.equals(before.plist));
+});
+
+test("patch --out writes a patched copy and a matching Info.plist", (t) => {
+  const app = createFakeApp(t);
+  const before = app.snapshot();
+  const outPath = path.join(app.root, "patched.asar");
+  const plistOutPath = path.join(app.root, "Info.plist");
+
+  const result = app.run("patch", "--out", outPath, "--plist-out", plistOutPath);
+  assert.equal(result.status, 0, result.stderr);
+  const hash = getAsarHeaderHash(fs.readFileSync(outPath));
+  assert.equal(getAsarIntegrityHash(readPlistFile(plistOutPath).value, "Resources/app.asar"), hash);
+  assert.ok(app.snapshot().asar.equals(before.asar));
+});
+
+test("--plist-out without --out is rejected", (t) => {
+  const app = createFakeApp(t);
+  const plistOutPath = path.join(app.root, "Info.plist");
+
+  const result = app.run("patch", "--plist-out", plistOutPath);
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /--plist-out requires --out/);
+  assert.equal(fs.existsSync(plistOutPath), false);
+  assert.equal(fs.existsSync(app.configDir), false);
+});
@@ -0,0 +1,126 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { extractFileMap, parseAsar } = require("../lib/asar");
+const { buildHelperCode } = require("../lib/patch-runtime");
+const { buildThemeCss, buildThemeVariantsCss, loadTheme, resolveThemeVariants } = require("../lib/theme");
+const { createFakeApp } = require("./helpers/fake-app");
+
+const MARKER = "/*test-marker*/";
+
+function fakeElectron(dark) {
+  const listeners = [];
+  const electron = {
+    windows: [],
+    nativeTheme: {
+      shouldUseDarkColors: dark,
+      on: (event, listener) => listeners.push(listener),
+    },
+    BrowserWindow: { getAllWindows: () => electron.windows },
+    switchScheme(next) {
+      this.nativeTheme.shouldUseDarkColors = next;
+      listeners.forEach((listener) => listener());
+    },
+  };
+  return electron;
+}
+
+function fakeWindow() {
+  const win = { backgrounds: [], css: [], isDestroyed: () => false };
+  win.setBackgroundColor = (color) => win.backgrounds.push(color);
+  win.webContents = {
+    isDestroyed: () => false,
+    isLoadingMainFrame: () => false,
+    on() {},
+    once() {},
+    insertCSS: async (css) => win.css.push(css),
+    removeInsertedCSS: async () => {},
+  };
+  return win;
+}
+
+// Evaluates the helper the way a patched ESM bundle does (no require, electron passed in), with a config dir of its own.
+function loadHelper(t, electron, files = {}) {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-runtime-"));
+  for (const [name, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(configDir, name), text);
+  }
+  const previous = process.env.CODEX_DARCULA_CONFIG_DIR;
+  process.env.CODEX_DARCULA_CONFIG_DIR = configDir;
+  t.after(() => {
+    for (const name of ["theme.css", "theme.json"]) {
+      fs.unwatchFile(path.join(configDir, name));
+    }
+    fs.rmSync(configDir, { recursive: true, force: true });
+    if (previous === undefined) {
+      delete process.env.CODEX_DARCULA_CONFIG_DIR;
+    } else {
+      process.env.CODEX_DARCULA_CONFIG_DIR = previous;
+    }
+  });
+  const helper = buildHelperCode(darcula(), MARKER);
+  const cdpApplyDarcula = new Function("require", `${helper}\nreturn cdpApplyDarcula;`)(undefined);
+  return { helper, apply: (win) => cdpApplyDarcula(win, electron) };
+}
+
+const darcula = () => resolveThemeVariants(loadTheme("darcula"));
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("the serialized runtime carries no comment lines or indentation", (t) => {
+  const { helper } = loadHelper(t, fakeElectron(true));
+  const lines = helper.split("\n");
+  assert.ok(lines.length > 1);
+  assert.deepEqual(lines.filter((line) => /^\s|^\/\//.test(line)), []);
+  assert.doesNotMatch(helper, /serialized with toString|ESM main bundles/);
+});
+
+test("the helper paints and styles a window with the variant of the current scheme", async (t) => {
+  const { apply } = loadHelper(t, fakeElectron(true));
+  const win = fakeWindow();
+  apply(win);
+  await tick();
+  assert.deepEqual(win.backgrounds, ["#2b2b2b"]);
+  assert.equal(win.css.length, 1);
+  assert.ok(win.css[0].startsWith(MARKER));
+});
+
+test("a paired theme.css paints the background of the current scheme and follows scheme changes", async (t) => {
+  const electron = fakeElectron(true);
+  const { apply } = loadHelper(t, electron, { "theme.css": buildThemeVariantsCss(darcula()) });
+  const win = fakeWindow();
+  electron.windows.push(win);
+  apply(win);
+  assert.deepEqual(win.backgrounds, ["#2b2b2b"]);
+
+  electron.switchScheme(false);
+  await tick();
+  assert.deepEqual(win.backgrounds, ["#2b2b2b", "#ffffff"]);
+  assert.equal(win.css.length, 1);
+});
+
+test("a theme.css override declared after the theme keeps its own background", (t) => {
+  const win = fakeWindow();
+  const css = `${buildThemeCss(darcula().dark)}:root{--cdp-darcula-background: #101010}`;
+  loadHelper(t, fakeElectron(false), { "theme.css": css }).apply(win);
+  assert.deepEqual(win.backgrounds, ["#101010"]);
+});
+
+test("a theme.json palette overrides the background of its variant", (t) => {
+  const win = fakeWindow();
+  const json = JSON.stringify({ type: "dark", colors: { background: "#202020" } });
+  loadHelper(t, fakeElectron(true), { "theme.json": json }).apply(win);
+  assert.deepEqual(win.backgrounds, ["#202020"]);
+});
+
+test("the default recipe hands the bundle's electron binding to cdpApplyDarcula", (t) => {
+  const app = createFakeApp(t);
+  const result = app.run("patch", "--no-codesign");
+  assert.equal(result.status, 0, result.stderr);
+
+  const asar = fs.readFileSync(app.asarPath);
+  const { header, dataOffset } = parseAsar(asar);
+  const bundle = extractFileMap(asar, header, dataOffset).get(".vite/build/main-abc.js").toString("utf8");
+  assert.match(bundle, /\(cdpApplyDarcula\(w,n\),this\.installNativeContextMenu\(w\)\)/);
+});
@@ -0,0 +1,47 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { PlistReal, parsePlist, buildPlist, getAsarIntegrityHash, setAsarIntegrityHash } = require("../lib/plist");
+
+function samplePlist() {
+  return new Map([
+    ["CFBundleShortVersionString", "1.2.3"],
+    ["LSMinimumSystemVersion", "12.0"],
+    ["Count", 42],
+    ["Big", 2n ** 60n],
+    ["Negative", -7],
+    ["Ratio", new PlistReal(1.5)],
+    ["Enabled", true],
+    ["Disabled", false],
+    ["Created", new Date("2024-05-01T10:20:30Z")],
+    ["Blob", Buffer.from([0, 1, 2, 250])],
+    ["Unicode", "Тема ✓ <&>"],
+    ["List", ["a", 1, new Map([["nested", "yes"]])]],
+    [
+      "ElectronAsarIntegrity",
+      new Map([["Resources/app.asar", new Map([["algorithm", "SHA256"], ["hash", "abc"]])]]),
+    ],
+  ]);
+}
+
+for (const format of ["xml", "binary"]) {
+  test(`${format} plist round-trips every value type`, () => {
+    const parsed = parsePlist(buildPlist(samplePlist(), format));
+    assert.equal(parsed.format, format);
+    assert.deepEqual(parsed.value, samplePlist());
+  });
+}
+
+test("binary and xml plists convert into each other", () => {
+  const fromBinary = parsePlist(buildPlist(samplePlist(), "binary")).value;
+  const fromXml = parsePlist(buildPlist(fromBinary, "xml")).value;
+  assert.deepEqual(fromXml, samplePlist());
+});
+
+test("asar integrity hash is read and replaced in place", () => {
+  const plist = samplePlist();
+  assert.equal(getAsarIntegrityHash(plist, "Resources/app.asar"), "abc");
+  setAsarIntegrityHash(plist, "Resources/app.asar", "def");
+  const reparsed = parsePlist(buildPlist(plist, "binary")).value;
+  assert.equal(getAsarIntegrityHash(reparsed, "Resources/app.asar"), "def");
+  assert.throws(() => getAsarIntegrityHash(plist, "Resources/other.asar"), /no ElectronAsarIntegrity hash/);
+});
@@ -0,0 +1,37 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { decodePng, encodePng, diffImages } = require("../lib/png");
+
+function image(width, height, paint) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      data.set(paint(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+test("encoded PNG decodes to the same pixels", () => {
+  const source = image(7, 5, (x, y) => [x * 30, y * 50, (x + y) * 10, 255 - x]);
+  const decoded = decodePng(encodePng(source));
+  assert.equal(decoded.width, 7);
+  assert.equal(decoded.height, 5);
+  assert.ok(decoded.data.equals(source.data));
+});
+
+test("non-PNG input is rejected", () => {
+  assert.throws(() => decodePng(Buffer.from("not a png")), /Not a PNG/);
+});
+
+test("pixel diff counts changed pixels and size mismatches", () => {
+  const baseline = image(4, 4, () => [10, 10, 10, 255]);
+  const actual = image(4, 4, (x, y) => (x === 1 && y === 2 ? [200, 10, 10, 255] : [12, 10, 10, 255]));
+  const result = diffImages(baseline, actual, 16);
+  assert.equal(result.mismatched, 1);
+  assert.equal(result.percent, 100 / 16);
+  assert.equal(result.sizeMatches, true);
+  const wider = diffImages(baseline, image(5, 4, () => [10, 10, 10, 255]), 16);
+  assert.equal(wider.sizeMatches, false);
+  assert.equal(wider.mismatched, 4);
+});
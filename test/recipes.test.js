@@ -0,0 +1,77 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { matchesVersion, loadRecipes, selectRecipes, resolveTarget } = require("../lib/recipes");
+
+const recipe = (id, origin, codexVersions) => ({ id, origin, codexVersions });
+
+test("version ranges support comparators, x-ranges, alternatives and the wildcard", () => {
+  assert.equal(matchesVersion(">=26.1 <26.3", "26.2.5"), true);
+  assert.equal(matchesVersion(">=26.1 <26.3", "26.3.0"), false);
+  assert.equal(matchesVersion("26.2.x", "26.2.9"), true);
+  assert.equal(matchesVersion("26.2.x", "26.20.1"), false);
+  assert.equal(matchesVersion(["1.0.0", ">2"], "3.1.0"), true);
+  assert.equal(matchesVersion("=1.0", "1.0.0"), true);
+  assert.equal(matchesVersion("*", null), true);
+  assert.equal(matchesVersion(">=1", null), false);
+});
+
+test("user recipes rank above built-in ones and wildcards come last within each origin", () => {
+  const recipes = [
+    recipe("builtin-any", "builtin", "*"),
+    recipe("builtin-26", "builtin", "26.x"),
+    recipe("user-any", "user", "*"),
+    recipe("user-26", "user", ">=26"),
+    recipe("builtin-old", "builtin", "<20"),
+  ];
+  const ids = selectRecipes(recipes, "26.1.0").map((item) => item.id);
+  assert.deepEqual(ids, ["user-26", "user-any", "builtin-26", "builtin-any"]);
+});
+
+test("recipes from the user config dir are loaded before the built-in ones", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-recipes-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "recipes"));
+  const anchors = [{ name: "a", pattern: "x", replace: "{{match}}" }];
+  fs.writeFileSync(
+    path.join(dir, "recipes", "mine.json"),
+    JSON.stringify({ id: "mine", codexVersions: "26.x", anchors }),
+  );
+  const previous = process.env.CODEX_DARCULA_CONFIG_DIR;
+  process.env.CODEX_DARCULA_CONFIG_DIR = dir;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.CODEX_DARCULA_CONFIG_DIR;
+    } else {
+      process.env.CODEX_DARCULA_CONFIG_DIR = previous;
+    }
+  });
+
+  const selected = selectRecipes(loadRecipes(), "26.4.0");
+  assert.deepEqual(
+    selected.map((item) => [item.id, item.origin]),
+    [
+      ["mine", "user"],
+      ["default", "builtin"],
+    ],
+  );
+});
+
+test("a version without any matching recipe gets a clear diagnostic", () => {
+  assert.throws(
+    () => resolveTarget([recipe("old", "builtin", "<20")], new Map(), "26.1.0", "/*m*/"),
+    /^Error: No patch recipe matches Codex 26\.1\.0$/,
+  );
+  assert.throws(() => resolveTarget([], new Map(), null, "/*m*/"), /No patch recipe matches Codex \(unknown version\)/);
+});
+
+test("anchor failures list every candidate recipe", () => {
+  const [builtin] = loadRecipes().filter((item) => item.id === "default");
+  const fileMap = new Map([[".vite/build/main-abc.js", Buffer.from("console.log(1)")]]);
+  assert.throws(
+    () => resolveTarget([builtin], fileMap, "26.1.0", "/*m*/"),
+    /Could not locate patch anchors for Codex 26\.1\.0:\nrecipe "default" .*\n- nativeTheme\.themeSource setter: no match/,
+  );
+});
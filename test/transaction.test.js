@@ -0,0 +1,96 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { spawnSync } = require("node:child_process");
+const { acquireLock, commitFiles, recoverTransaction } = require("../lib/transaction");
+const { createFakeApp } = require("./helpers/fake-app");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "darcula-tx-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a failing codesign after the commit restores app.asar and Info.plist and releases the lock", (t) => {
+  const app = createFakeApp(t);
+  const before = app.snapshot();
+  app.fakeCodesign(1);
+
+  const result = app.run("patch");
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /codesign failed; changes rolled back/);
+  const after = app.snapshot();
+  assert.ok(after.asar.equals(before.asar));
+  assert.ok(after.plist.equals(before.plist));
+  assert.equal(fs.existsSync(app.lockPath), false);
+  const resources = fs.readdirSync(path.dirname(app.asarPath));
+  assert.deepEqual(resources.filter((name) => /darcula/.test(name)), []);
+
+  app.fakeCodesign(0);
+  assert.equal(app.run("patch").status, 0);
+});
+
+test("a run is refused while another live process holds the lock", (t) => {
+  const app = createFakeApp(t);
+  const before = app.snapshot();
+  const release = acquireLock(app.lockPath, "test");
+  t.after(release);
+
+  const result = app.run("patch", "--no-codesign");
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, new RegExp(`Another codex-darcula run holds .*pid ${process.pid}, test`));
+  assert.ok(app.snapshot().asar.equals(before.asar));
+  assert.ok(fs.existsSync(app.lockPath));
+});
+
+test("acquireLock refuses a second holder and takes over a stale lock", (t) => {
+  const lockPath = path.join(tempDir(t), "darcula.lock");
+  const release = acquireLock(lockPath, "first");
+  assert.throws(() => acquireLock(lockPath, "second"), /Another codex-darcula run holds/);
+  release();
+  assert.equal(fs.existsSync(lockPath), false);
+
+  const dead = spawnSync(process.execPath, ["-e", ""]).pid;
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: dead, command: "crashed", startedAt: "then" }));
+  const takeover = acquireLock(lockPath, "third");
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, "utf8")).command, "third");
+  takeover();
+});
+
+test("commitFiles rolls back on demand and recoverTransaction finishes or undoes a journal", (t) => {
+  const dir = tempDir(t);
+  const target = path.join(dir, "app.asar");
+  const created = path.join(dir, "meta.json");
+  const journalPath = path.join(dir, "journal.json");
+  const stage = () => {
+    fs.writeFileSync(`${target}.tmp`, "new");
+    fs.writeFileSync(`${created}.tmp`, "meta");
+    return [
+      { target, staged: `${target}.tmp` },
+      { target: created, staged: `${created}.tmp` },
+    ];
+  };
+  fs.writeFileSync(target, "old");
+
+  commitFiles(journalPath, stage()).rollback();
+  assert.equal(fs.readFileSync(target, "utf8"), "old");
+  assert.equal(fs.existsSync(created), false);
+  assert.equal(fs.existsSync(journalPath), false);
+
+  commitFiles(journalPath, stage());
+  assert.equal(recoverTransaction(journalPath), "completed");
+  assert.equal(fs.readFileSync(target, "utf8"), "new");
+  assert.equal(fs.existsSync(`${target}.rollback-darcula`), false);
+
+  fs.writeFileSync(target, "old");
+  fs.rmSync(created);
+  commitFiles(journalPath, stage());
+  const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+  fs.writeFileSync(journalPath, JSON.stringify({ ...journal, state: "committing" }));
+  assert.equal(recoverTransaction(journalPath), "rolled back");
+  assert.equal(fs.readFileSync(target, "utf8"), "old");
+  assert.equal(fs.existsSync(created), false);
+  assert.equal(recoverTransaction(journalPath), null);
+});